@@ -0,0 +1,244 @@
+/* =========================================
+   XOZY-EP AUDIO ENGINE
+   ========================================= */
+
+// A MIDI-shaped output that plays through WebAudio: it takes the same send(data, timestamp)
+// calls the engine makes to a WebMIDI port, so the scheduler doesn't know the difference.
+// Drum pads get synthesised voices by pad index, everything else the polyphonic synth.
+
+export const DRUM_VOICES = ['kick', 'snare', 'hat', 'openhat', 'clap', 'tomlo', 'tommid', 'tomhi', 'rim', 'cowbell', 'clave', 'crash'];
+
+const MAX_VOICES = 16;
+const SYNTH_ENV = { attack: 0.005, decay: 0.15, sustain: 0.6, release: 0.2 };
+
+function noteFreq(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+export class AudioOutput {
+    // ctx: any BaseAudioContext (OfflineAudioContext included). clock converts MIDI timestamps
+    // to context time; without one timestamps are read as ms from context time 0.
+    // resolve(chan, note) returns the drum pad index for a note, or -1 for the synth.
+    constructor({ ctx, clock = null, resolve = () => -1, destination = ctx.destination }) {
+        this.name = 'INTERNAL SYNTH';
+        this.ctx = ctx;
+        this.clock = clock;
+        this.resolve = resolve;
+        this.master = ctx.createDynamicsCompressor();
+        this.master.connect(destination);
+        this.channels = new Map();
+        this.voices = [];
+        // Drum sources as { src, start, end }, so clear() can drop hits that haven't started.
+        this.hits = [];
+        this.noise = this.createNoise();
+    }
+
+    createNoise() {
+        const buf = this.ctx.createBuffer(1, this.ctx.sampleRate, this.ctx.sampleRate);
+        const data = buf.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+        return buf;
+    }
+
+    timeFor(timestamp) {
+        if (timestamp === undefined) return this.ctx.currentTime;
+        const t = this.clock ? this.clock.fromTimestamp(timestamp) : timestamp / 1000;
+        return Math.max(this.ctx.currentTime, t);
+    }
+
+    // Per-channel strip: CC7 volume, CC10 pan, CC74 synth cutoff, pitch bend ±2 semitones.
+    channel(chan) {
+        if (!this.channels.has(chan)) {
+            const gain = this.ctx.createGain();
+            const pan = this.ctx.createStereoPanner();
+            gain.gain.value = 0.8;
+            gain.connect(pan).connect(this.master);
+            this.channels.set(chan, { gain, pan, cutoff: 4000, bend: 0 });
+        }
+        return this.channels.get(chan);
+    }
+
+    send(data, timestamp) {
+        const [status, d1, d2] = data;
+        if (status >= 0xF0) return;
+        const type = status & 0xF0;
+        const chan = status & 0x0F;
+        const t = this.timeFor(timestamp);
+        if (type === 0x90 && d2 > 0) this.noteOn(chan, d1, d2, t);
+        else if (type === 0x90 || type === 0x80) this.noteOff(chan, d1, t);
+        else if (type === 0xB0) this.controlChange(chan, d1, d2, t);
+        else if (type === 0xE0) this.pitchBend(chan, ((d2 << 7) | d1) - 8192, t);
+    }
+
+    noteOn(chan, note, vel, t) {
+        const pad = this.resolve(chan, note);
+        const out = this.channel(chan).gain;
+        const level = vel / 127;
+        if (pad >= 0) return this.playDrum(DRUM_VOICES[pad] || 'clave', level, t, out);
+        this.playSynth(chan, note, level, t, out);
+    }
+
+    noteOff(chan, note, t) {
+        const voice = this.voices.find(v => v.chan === chan && v.note === note && v.releaseAt === null && v.start <= t);
+        if (voice) this.release(voice, t);
+    }
+
+    controlChange(chan, cc, value, t) {
+        const strip = this.channel(chan);
+        if (cc === 7) strip.gain.gain.setTargetAtTime((value / 127) * 0.8, t, 0.01);
+        else if (cc === 10) strip.pan.pan.setTargetAtTime((value - 64) / 64, t, 0.01);
+        else if (cc === 74) {
+            strip.cutoff = 200 + Math.pow(value / 127, 2) * 11800;
+            this.voices.filter(v => v.chan === chan).forEach(v => v.filter.frequency.setTargetAtTime(strip.cutoff, t, 0.01));
+        } else if (cc === 120 || cc === 123) {
+            this.voices.filter(v => v.chan === chan).forEach(v => this.release(v, t, cc === 120));
+        }
+    }
+
+    pitchBend(chan, value, t) {
+        const strip = this.channel(chan);
+        strip.bend = (value / 8192) * 200;
+        this.voices.filter(v => v.chan === chan).forEach(v => v.oscs.forEach(o => o.detune.setTargetAtTime(o.baseDetune + strip.bend, t, 0.005)));
+    }
+
+    // Drops everything due to start later; what is already sounding is left to note-offs and CC 120.
+    clear() {
+        const now = this.ctx.currentTime;
+        this.hits.filter(h => h.start > now).forEach(h => h.src.disconnect());
+        this.hits = [];
+        this.voices.filter(v => v.start > now).forEach(v => {
+            v.env.disconnect();
+            v.oscs.forEach(o => o.stop());
+        });
+        this.voices = this.voices.filter(v => v.start <= now);
+    }
+
+    // --- SYNTH ---
+    // voices holds what is still sounding, oldest first: a voice leaves when its oscillators end,
+    // or straight away when it is stolen to make room at the cap.
+    playSynth(chan, note, level, t, out) {
+        if (this.voices.length >= MAX_VOICES) this.release(this.voices.shift(), t, true);
+        const strip = this.channel(chan);
+        const env = this.ctx.createGain();
+        const filter = this.ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = strip.cutoff;
+        filter.Q.value = 2;
+        filter.connect(env).connect(out);
+
+        const oscs = [['sawtooth', -6], ['square', 6]].map(([type, detune]) => {
+            const osc = this.ctx.createOscillator();
+            osc.type = type;
+            osc.frequency.value = noteFreq(note);
+            osc.baseDetune = detune;
+            osc.detune.value = detune + strip.bend;
+            osc.connect(filter);
+            osc.start(t);
+            return osc;
+        });
+
+        const peak = level * 0.25;
+        env.gain.setValueAtTime(0, t);
+        env.gain.linearRampToValueAtTime(peak, t + SYNTH_ENV.attack);
+        env.gain.setTargetAtTime(peak * SYNTH_ENV.sustain, t + SYNTH_ENV.attack, SYNTH_ENV.decay / 3);
+
+        const voice = { chan, note, start: t, releaseAt: null, env, filter, oscs };
+        oscs[0].onended = () => { this.voices = this.voices.filter(v => v !== voice); };
+        this.voices.push(voice);
+    }
+
+    release(voice, t, hard = false) {
+        if (voice.releaseAt !== null && voice.releaseAt <= t) return;
+        const time = Math.max(t, voice.start);
+        const release = hard ? 0.01 : SYNTH_ENV.release;
+        voice.releaseAt = time;
+        const g = voice.env.gain;
+        if (g.cancelAndHoldAtTime) g.cancelAndHoldAtTime(time);
+        else g.cancelScheduledValues(time);
+        g.setTargetAtTime(0, time, release / 3);
+        voice.oscs.forEach(o => o.stop(time + release * 2));
+    }
+
+    // --- DRUMS ---
+    envelope(level, t, decay, out) {
+        const g = this.ctx.createGain();
+        g.gain.setValueAtTime(level, t);
+        g.gain.exponentialRampToValueAtTime(0.001, t + decay);
+        g.connect(out);
+        return g;
+    }
+
+    tone(type, freq, t, decay, dest, endFreq = null) {
+        const osc = this.ctx.createOscillator();
+        osc.type = type;
+        osc.frequency.setValueAtTime(freq, t);
+        if (endFreq) osc.frequency.exponentialRampToValueAtTime(endFreq, t + decay * 0.5);
+        osc.connect(dest);
+        this.scheduleHit(osc, t, t + decay + 0.05);
+    }
+
+    burst(t, decay, dest, filterType, freq) {
+        const src = this.ctx.createBufferSource();
+        src.buffer = this.noise;
+        const filter = this.ctx.createBiquadFilter();
+        filter.type = filterType;
+        filter.frequency.value = freq;
+        src.connect(filter).connect(dest);
+        this.scheduleHit(src, t, t + decay + 0.05);
+    }
+
+    scheduleHit(src, start, end) {
+        src.start(start);
+        src.stop(end);
+        // Hits arrive in roughly time order, so finished ones collect at the front.
+        const now = this.ctx.currentTime;
+        while (this.hits.length && this.hits[0].end <= now) this.hits.shift();
+        this.hits.push({ src, start, end });
+    }
+
+    playDrum(voice, level, t, out) {
+        switch (voice) {
+            case 'kick':
+                this.tone('sine', 150, t, 0.45, this.envelope(level, t, 0.45, out), 45);
+                break;
+            case 'snare':
+                this.burst(t, 0.2, this.envelope(level * 0.7, t, 0.2, out), 'highpass', 1000);
+                this.tone('triangle', 180, t, 0.1, this.envelope(level * 0.6, t, 0.1, out));
+                break;
+            case 'hat':
+                this.burst(t, 0.05, this.envelope(level * 0.5, t, 0.05, out), 'highpass', 7000);
+                break;
+            case 'openhat':
+                this.burst(t, 0.3, this.envelope(level * 0.5, t, 0.3, out), 'highpass', 7000);
+                break;
+            case 'clap':
+                [0, 0.01, 0.02].forEach(d => this.burst(t + d, 0.15, this.envelope(level * 0.6, t + d, 0.15, out), 'bandpass', 1500));
+                break;
+            case 'tomlo':
+            case 'tommid':
+            case 'tomhi': {
+                const freq = { tomlo: 100, tommid: 150, tomhi: 220 }[voice];
+                this.tone('sine', freq, t, 0.3, this.envelope(level, t, 0.3, out), freq * 0.7);
+                break;
+            }
+            case 'rim':
+                this.tone('triangle', 1700, t, 0.03, this.envelope(level * 0.6, t, 0.03, out));
+                this.burst(t, 0.01, this.envelope(level * 0.4, t, 0.01, out), 'highpass', 3000);
+                break;
+            case 'cowbell': {
+                const dest = this.ctx.createBiquadFilter();
+                dest.type = 'bandpass';
+                dest.frequency.value = 800;
+                dest.connect(this.envelope(level * 0.5, t, 0.3, out));
+                this.tone('square', 540, t, 0.3, dest);
+                this.tone('square', 800, t, 0.3, dest);
+                break;
+            }
+            case 'crash':
+                this.burst(t, 1.2, this.envelope(level * 0.4, t, 1.2, out), 'highpass', 5000);
+                break;
+            default:
+                this.tone('sine', 2500, t, 0.05, this.envelope(level * 0.6, t, 0.05, out));
+        }
+    }
+}
@@ -0,0 +1,152 @@
+/* =========================================
+   XOZY-EP CLOCKS
+   ========================================= */
+
+// Every clock exposes the same surface to SequencerEngine:
+//   currentTime (seconds, scheduling timeline), now() (ms, MIDI timestamp timeline),
+//   toTimestamp(time) (scheduling time -> MIDI timestamp), fromTimestamp(ms) (the inverse),
+//   setTickInterval(ms),
+//   requestTick/cancelTick (scheduler wake-ups), stopTicks() (transport stopped: release whatever
+//   produces them until the next requestTick), setTimer/clearTimer (UI callbacks).
+
+// --- BROWSER ---
+// Scheduler wake-ups come from a Worker timer: unlike requestAnimationFrame it keeps
+// firing when the tab is hidden, so an injection doesn't stall on a window switch.
+const TICK_WORKER = `
+let id = null;
+onmessage = (e) => {
+    clearInterval(id);
+    if (e.data > 0) id = setInterval(() => postMessage(0), e.data);
+};`;
+
+export class BrowserClock {
+    constructor({ interval = 25 } = {}) {
+        this.audioCtx = null;
+        this.interval = interval;
+        this.worker = null;
+        this.workerUrl = null;
+        this.pending = new Map();
+        this.nextId = 1;
+    }
+
+    get ready() { return !!this.audioCtx; }
+    get currentTime() { return this.audioCtx.currentTime; }
+
+    async resume() {
+        if (!this.audioCtx) this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+        if (this.audioCtx.state === 'suspended') await this.audioCtx.resume();
+    }
+
+    now() { return performance.now(); }
+
+    // Reads both clocks from one paired sample so the offset between them can't wobble
+    // between calls (that wobble is what made the 24ppqn burst drift under load).
+    toTimestamp(time) {
+        const ts = this.audioCtx.getOutputTimestamp ? this.audioCtx.getOutputTimestamp() : null;
+        if (ts && ts.performanceTime) return ts.performanceTime + (time - ts.contextTime) * 1000;
+        return performance.now() + (time - this.audioCtx.currentTime) * 1000;
+    }
+
+    fromTimestamp(ms) {
+        const ts = this.audioCtx.getOutputTimestamp ? this.audioCtx.getOutputTimestamp() : null;
+        if (ts && ts.performanceTime) return ts.contextTime + (ms - ts.performanceTime) / 1000;
+        return this.audioCtx.currentTime + (ms - performance.now()) / 1000;
+    }
+
+    setTickInterval(ms) {
+        this.interval = ms;
+        if (this.worker) this.worker.postMessage(ms);
+    }
+
+    requestTick(cb) {
+        const id = this.nextId++;
+        this.pending.set(id, cb);
+        if (!this.worker) this.startWorker();
+        return id;
+    }
+
+    cancelTick(id) { this.pending.delete(id); }
+
+    startWorker() {
+        if (typeof Worker === 'undefined') {
+            let id = null, stopped = false;
+            const loop = () => { this.flushTicks(); if (!stopped) id = setTimeout(loop, this.interval); };
+            id = setTimeout(loop, this.interval);
+            this.worker = { postMessage: () => {}, terminate: () => { stopped = true; clearTimeout(id); } };
+            return;
+        }
+        this.workerUrl = URL.createObjectURL(new Blob([TICK_WORKER], { type: 'text/javascript' }));
+        this.worker = new Worker(this.workerUrl);
+        this.worker.onmessage = () => this.flushTicks();
+        this.worker.postMessage(this.interval);
+    }
+
+    stopTicks() {
+        this.pending.clear();
+        if (this.worker) this.worker.terminate();
+        if (this.workerUrl) URL.revokeObjectURL(this.workerUrl);
+        this.worker = null;
+        this.workerUrl = null;
+    }
+
+    flushTicks() {
+        const cbs = [...this.pending.values()];
+        this.pending.clear();
+        cbs.forEach(cb => cb());
+    }
+
+    setTimer(cb, ms) { return setTimeout(cb, ms); }
+    clearTimer(id) { clearTimeout(id); }
+}
+
+// --- MANUAL (NODE / TESTS / OFFLINE) ---
+// Time only moves when advance() is called; ticks fire once per frame (the tick interval).
+export class ManualClock {
+    constructor({ frame = 1 / 60 } = {}) {
+        this.time = 0;
+        this.frame = frame;
+        this.ticks = new Map();
+        this.timers = new Map();
+        this.nextId = 1;
+    }
+
+    get ready() { return true; }
+    get currentTime() { return this.time; }
+
+    async resume() {}
+
+    now() { return this.time * 1000; }
+    toTimestamp(time) { return time * 1000; }
+    fromTimestamp(ms) { return ms / 1000; }
+
+    setTickInterval(ms) { this.frame = ms / 1000; }
+
+    requestTick(cb) {
+        const id = this.nextId++;
+        this.ticks.set(id, cb);
+        return id;
+    }
+
+    cancelTick(id) { this.ticks.delete(id); }
+    stopTicks() { this.ticks.clear(); }
+
+    setTimer(cb, ms) {
+        const id = this.nextId++;
+        this.timers.set(id, { cb, due: this.time + Math.max(0, ms) / 1000 });
+        return id;
+    }
+
+    clearTimer(id) { this.timers.delete(id); }
+
+    advance(seconds) {
+        const target = this.time + seconds;
+        while (this.time < target) {
+            this.time = Math.min(target, this.time + this.frame);
+            const due = [...this.timers].filter(([, t]) => t.due <= this.time).sort((a, b) => a[1].due - b[1].due);
+            due.forEach(([id, t]) => { this.timers.delete(id); t.cb(); });
+            const ticks = [...this.ticks.values()];
+            this.ticks.clear();
+            ticks.forEach(cb => cb());
+        }
+    }
+}
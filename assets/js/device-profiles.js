@@ -0,0 +1,54 @@
+/* =========================================
+   XOZY-EP DEVICE PROFILES
+   ========================================= */
+
+// padNotes: default note per pad index 0-11. groupChannels: 0-based MIDI channel per group A-D.
+// ccs: the controllers worth offering as automation targets. match: port-name fragments naming
+// this device only; vendor-wide ones ('teenage', 'op-') would claim every other device by that maker.
+export const DEVICE_PROFILES = {
+    'ep-133': {
+        name: 'EP-133 K.O. II',
+        match: ['ep-133', 'k.o', '133'],
+        padNotes: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+        groupChannels: [0, 1, 2, 3],
+        ccs: { 7: 'VOLUME', 10: 'PAN', 74: 'FILTER' }
+    },
+    'ep-1320': {
+        name: 'EP-1320 MEDIEVAL',
+        match: ['ep-1320', '1320', 'medieval'],
+        padNotes: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+        groupChannels: [0, 1, 2, 3],
+        ccs: { 7: 'VOLUME', 10: 'PAN', 74: 'FILTER' }
+    },
+    'op-1': {
+        name: 'OP-1',
+        match: ['op-1'],
+        padNotes: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+        groupChannels: [0, 0, 0, 0],
+        ccs: { 1: 'BLUE ENC', 2: 'GREEN ENC', 3: 'WHITE ENC', 4: 'ORANGE ENC' }
+    },
+    'gm-drums': {
+        name: 'GENERIC GM DRUMS',
+        match: [],
+        padNotes: [36, 38, 42, 46, 39, 37, 45, 48, 49, 51, 56, 70],
+        groupChannels: [9, 9, 9, 9],
+        ccs: { 7: 'VOLUME', 10: 'PAN', 91: 'REVERB', 93: 'CHORUS' }
+    }
+};
+
+export const DEFAULT_PROFILE = 'ep-133';
+
+// Scores each profile by the total length of its fragments found in the name, so
+// 'teenage engineering EP-1320' lands on the EP-1320 rather than the generic EP-133 match.
+export function detectProfile(portName) {
+    const n = (portName || '').toLowerCase();
+    let best = null, bestScore = 0;
+    for (const [id, profile] of Object.entries(DEVICE_PROFILES)) {
+        const score = profile.match.reduce((sum, m) => sum + (n.includes(m) ? m.length : 0), 0);
+        if (score > bestScore) {
+            best = id;
+            bestScore = score;
+        }
+    }
+    return best;
+}
@@ -0,0 +1,87 @@
+/* =========================================
+   XOZY-EP PATTERN GENERATORS
+   ========================================= */
+
+// Every generator takes an rng (createRng or Math.random) and returns a preset object that
+// loadPreset understands: { name, pat } for one pad or { name, type: 'multi', tracks } for a kit.
+
+// Metric weight of a 16th inside its beat: downbeat, offbeat 8th, then the two 16ths.
+function weightAt(i) {
+    if (i % 4 === 0) return 1;
+    if (i % 2 === 0) return 0.75;
+    return 0.5;
+}
+const MEAN_WEIGHT = (1 + 0.5 + 0.75 + 0.5) / 4;
+
+function clamp01(n) { return Math.max(0, Math.min(1, n)); }
+
+function accentChar(rng, accent, weight) {
+    if (rng() < accent * weight) return 'X';
+    return rng() < 0.5 ? 'Y' : 'Z';
+}
+
+// --- EUCLIDEAN ---
+// Bucket form of Bjorklund: spreads `hits` as evenly as possible, first hit on step 0,
+// then rotates left so rotation 1 starts one step into the cycle.
+export function euclid(hits, steps, rotation = 0) {
+    const n = Math.max(1, Math.min(64, steps));
+    const k = Math.max(0, Math.min(n, hits));
+    const base = Array.from({ length: n }, (_, i) => ((i * k) % n < k ? 'X' : 'O'));
+    const r = ((rotation % n) + n) % n;
+    return base.slice(r).concat(base.slice(0, r)).join('');
+}
+
+export function euclidPreset({ hits, steps, rotation = 0 }) {
+    return { name: `EUCLID ${hits}/${steps}${rotation ? ` R${rotation}` : ''}`, pat: euclid(hits, steps, rotation) };
+}
+
+// --- DENSITY ---
+// Strong positions fire and accent more often; density is the average fill in percent.
+export function densityPattern(rng, { steps = 16, density = 40, accent = 50 }) {
+    const fill = density / 100 / MEAN_WEIGHT;
+    return Array.from({ length: steps }, (_, i) => {
+        const w = weightAt(i);
+        return rng() < clamp01(fill * w) ? accentChar(rng, accent / 100, w) : 'O';
+    }).join('');
+}
+
+export function densityPreset(rng, opts) {
+    return { name: `RANDOM ${opts.density}%`, pat: densityPattern(rng, opts) };
+}
+
+// --- MUTATE ---
+// Each step has an `amount` percent chance to change: hits drop out or shift velocity,
+// rests pick up a quiet hit. Repeated calls evolve the pattern a little at a time.
+export function mutatePattern(rng, pattern, { amount = 20 } = {}) {
+    const chance = amount / 100;
+    return Array.from(pattern, (c, i) => {
+        if (rng() >= chance) return c;
+        if (c === 'O') return rng() < weightAt(i) * 0.5 ? 'Y' : 'Z';
+        if (rng() < 0.4) return 'O';
+        return ['X', 'Y', 'Z'].filter(v => v !== c)[Math.floor(rng() * 2)];
+    }).join('');
+}
+
+// --- KIT ---
+// Kick on an euclidean spine, snare on the backbeat with ghosts, hats on the 8ths
+// with 16th fills, written to pads 0-2 like the FULL KITS presets.
+export function generateKit(rng, { steps = 16, density = 40, accent = 50 }) {
+    const d = density / 100;
+    const kickHits = Math.max(1, Math.round((steps / 16) * (2 + d * 4)));
+    const kick = Array.from(euclid(kickHits, steps), (c, i) => (
+        c === 'O' && i % 2 === 1 && rng() < d * 0.15 ? 'Z' : c
+    ));
+    const snare = Array.from({ length: steps }, (_, i) => {
+        if (i % 8 === 4) return 'X';
+        return kick[i] === 'O' && rng() < d * 0.25 ? 'Z' : 'O';
+    });
+    const hats = Array.from({ length: steps }, (_, i) => {
+        if (i % 2 === 0) return i % 4 === 0 || rng() < accent / 100 ? 'X' : 'Y';
+        return rng() < d * 0.6 ? 'Z' : 'O';
+    });
+    return {
+        name: `GEN KIT ${density}%`,
+        type: 'multi',
+        tracks: { 0: kick.join(''), 1: snare.join(''), 2: hats.join('') }
+    };
+}
@@ -0,0 +1,77 @@
+/* =========================================
+   XOZY-EP GROOVE TEMPLATES
+   ========================================= */
+
+// A groove is one bar of per-16th feel: timing[i] moves the i-th 16th by that many 16ths
+// (positive = late) and velocity[i] scales its velocity. A group with a groove uses it in
+// place of plain odd-step swing.
+export const GROOVE_STEPS = 16;
+export const MAX_USER_GROOVES = 8;
+
+const STRAIGHT_VEL = Array(GROOVE_STEPS).fill(1);
+
+// MPC swing: the second 16th of each pair lands at `percent` of the pair. 50 is straight,
+// 66 is a triplet feel.
+function mpcSwing(percent) {
+    const late = percent / 50 - 1;
+    return {
+        name: `MPC ${percent}%`,
+        timing: Array.from({ length: GROOVE_STEPS }, (_, i) => (i % 2 === 1 ? late : 0)),
+        velocity: STRAIGHT_VEL
+    };
+}
+
+function repeatBeat(timing, velocity) {
+    return {
+        timing: Array.from({ length: GROOVE_STEPS }, (_, i) => timing[i % 4]),
+        velocity: Array.from({ length: GROOVE_STEPS }, (_, i) => velocity[i % 4])
+    };
+}
+
+export const GROOVES = {
+    mpc54: mpcSwing(54),
+    mpc58: mpcSwing(58),
+    mpc62: mpcSwing(62),
+    mpc66: mpcSwing(66),
+    mpc71: mpcSwing(71),
+    // Every beat split in three: the 8th offbeat moves to the last triplet, the 16ths squeeze around it.
+    shuffle: { name: 'SHUFFLE', ...repeatBeat([0, 1 / 3, 2 / 3, 1 / 3], [1, 0.7, 0.85, 0.7]) },
+    // Offbeats drag a touch behind the downbeats, 16ths a little more.
+    laidback: { name: 'LAID BACK', ...repeatBeat([0, 0.12, 0.06, 0.12], [1, 0.8, 0.9, 0.8]) }
+};
+
+// --- EXTRACTION ---
+// Averages where a MIDI file's hits fall around each 16th of the bar and how loud they are.
+// Steps with no hits stay straight. `midi` is what parseMidiFile returns.
+export function extractGroove(midi, name = 'MIDI GROOVE') {
+    if (midi.notes.length === 0) throw new Error('NO NOTES TO EXTRACT');
+    const ticksPer16th = midi.ppq / 4;
+    const sums = Array.from({ length: GROOVE_STEPS }, () => ({ shift: 0, vel: 0, n: 0 }));
+    midi.notes.forEach(note => {
+        const pos = note.tick / ticksPer16th;
+        const step = Math.round(pos);
+        const slot = sums[step % GROOVE_STEPS];
+        slot.shift += pos - step;
+        slot.vel += note.velocity;
+        slot.n++;
+    });
+    const loudest = Math.max(...sums.map(s => (s.n ? s.vel / s.n : 0)));
+    return normalizeGroove({
+        name,
+        timing: sums.map(s => (s.n ? s.shift / s.n : 0)),
+        velocity: sums.map(s => (s.n ? s.vel / s.n / loudest : 1))
+    });
+}
+
+export function normalizeGroove(raw) {
+    const num = (v, fallback, min, max) => (Number.isFinite(Number(v)) ? Math.max(min, Math.min(max, Number(v))) : fallback);
+    const list = (arr, fallback, min, max, places) => Array.from({ length: GROOVE_STEPS }, (_, i) => {
+        const v = num(Array.isArray(arr) ? arr[i] : undefined, fallback, min, max);
+        return Math.round(v * places) / places;
+    });
+    return {
+        name: typeof raw.name === 'string' && raw.name ? raw.name.toUpperCase().slice(0, 16) : 'GROOVE',
+        timing: list(raw.timing, 0, -0.5, 0.5, 1000),
+        velocity: list(raw.velocity, 1, 0, 2, 100)
+    };
+}
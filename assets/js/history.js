@@ -0,0 +1,104 @@
+/* =========================================
+   XOZY-EP EDIT HISTORY & CLIPBOARD
+   ========================================= */
+
+const HISTORY_LIMIT = 100;
+// Edits to the same target this close together (a slider drag, a lane stroke) undo as one.
+const MERGE_MS = 800;
+
+export const CLIP_SCOPES = ['pattern', 'pad', 'group'];
+// What "pattern" means on the clipboard: the step grid and its per-step data, not the pad's sound.
+export const PATTERN_FIELDS = ['steps', 'rate', 'notes', 'nudge', 'prob', 'cond', 'ratchet'];
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// --- HISTORY ---
+// A command is { label, key, undo(), redo() }. Pushing after an undo drops the redo branch.
+export class EditHistory {
+    constructor({ limit = HISTORY_LIMIT, now = () => Date.now() } = {}) {
+        this.limit = limit;
+        this.now = now;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    push(cmd) {
+        if (!cmd) return null;
+        const time = this.now();
+        const top = this.undoStack[this.undoStack.length - 1];
+        this.redoStack = [];
+        if (top && cmd.key && top.key === cmd.key && time - top.time < MERGE_MS) {
+            top.redo = cmd.redo;
+            top.time = time;
+            return top;
+        }
+        cmd.time = time;
+        this.undoStack.push(cmd);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        return cmd;
+    }
+
+    undo() {
+        const cmd = this.undoStack.pop();
+        if (!cmd) return null;
+        cmd.undo();
+        this.redoStack.push(cmd);
+        return cmd;
+    }
+
+    redo() {
+        const cmd = this.redoStack.pop();
+        if (!cmd) return null;
+        cmd.redo();
+        this.undoStack.push(cmd);
+        return cmd;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    get canUndo() { return this.undoStack.length > 0; }
+    get canRedo() { return this.redoStack.length > 0; }
+}
+
+// --- SNAPSHOT COMMANDS ---
+// Captures a target before an edit; calling the returned finish() after the edit yields a
+// command that swaps the before/after copies back in, or null if nothing changed.
+// get/set close over the group array rather than projectData, so undo still lands in the
+// right pattern slot after the slot has been switched.
+export function snapshot(label, key, get, set) {
+    const before = clone(get());
+    return () => {
+        const after = clone(get());
+        if (JSON.stringify(after) === JSON.stringify(before)) return null;
+        return { label, key, undo: () => set(clone(before)), redo: () => set(clone(after)) };
+    };
+}
+
+export function padTarget(group, p) {
+    return { get: () => group[p], set: (pad) => { group[p] = pad; } };
+}
+
+export function groupTarget(group) {
+    return { get: () => group, set: (pads) => { group.splice(0, group.length, ...pads); } };
+}
+
+// --- CLIPBOARD ---
+export function copyFrom(scope, group, p) {
+    if (scope === 'group') return { scope, data: clone(group) };
+    if (scope === 'pad') return { scope, data: clone(group[p]) };
+    const data = {};
+    PATTERN_FIELDS.forEach(f => { data[f] = clone(group[p][f]); });
+    return { scope, data };
+}
+
+// A pad or pattern pastes onto pad p; a group replaces every pad of the target group.
+export function pasteInto(clip, group, p) {
+    if (clip.scope === 'group') groupTarget(group).set(clone(clip.data));
+    else if (clip.scope === 'pad') group[p] = clone(clip.data);
+    else Object.assign(group[p], clone(clip.data));
+}
@@ -0,0 +1,91 @@
+/* =========================================
+   XOZY-EP KEYMAP
+   ========================================= */
+
+const STORAGE_KEY = 'oxo_keymap';
+
+// Pads in legend order: the EP keypad layout (7 8 9 / 4 5 6 / 1 2 3 / . 0 ENTER).
+const PAD_ORDER = [9, 10, 11, 6, 7, 8, 3, 4, 5, 0, 1, 2];
+const PAD_KEYS = ['7', '8', '9', '4', '5', '6', '1', '2', '3', '.', '0', 'Enter'];
+
+// Action ids are "<kind>-<arg>"; the settings panel lists them in this order.
+export const KEY_ACTIONS = [
+    ...PAD_ORDER.map(p => ({ id: `pad-${p}`, label: `PAD ${p === 0 ? '■' : p}` })),
+    ...['A', 'B', 'C', 'D'].map((g, i) => ({ id: `group-${i}`, label: `GROUP ${g}` })),
+    { id: 'cursor-left', label: 'CURSOR BACK' },
+    { id: 'cursor-right', label: 'CURSOR FWD' },
+    { id: 'cursor-up', label: 'CURSOR BAR BACK' },
+    { id: 'cursor-down', label: 'CURSOR BAR FWD' },
+    { id: 'step-X', label: 'STEP X' },
+    { id: 'step-Y', label: 'STEP Y' },
+    { id: 'step-Z', label: 'STEP Z' },
+    { id: 'step-O', label: 'STEP OFF' },
+    { id: 'transport', label: 'START / STOP' },
+    { id: 'panic', label: 'STOP / PANIC' }
+];
+
+export const DEFAULT_KEYMAP = {
+    ...Object.fromEntries(PAD_ORDER.map((p, i) => [`pad-${p}`, [PAD_KEYS[i]]])),
+    'group-0': ['A'], 'group-1': ['B'], 'group-2': ['C'], 'group-3': ['D'],
+    'cursor-left': ['ArrowLeft'], 'cursor-right': ['ArrowRight'],
+    'cursor-up': ['ArrowUp'], 'cursor-down': ['ArrowDown'],
+    'step-X': ['X'], 'step-Y': ['Y'], 'step-Z': ['Z'], 'step-O': ['O', 'Backspace'],
+    'transport': ['Space'],
+    'panic': ['Escape']
+};
+
+const ARROWS = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+
+// Bindings use KeyboardEvent.key, so the number row and a numlocked numpad share one binding.
+// Letters are stored upper-case whatever the shift state, and the space bar gets a name.
+export function keyName(e) {
+    if (e.key === ' ') return 'Space';
+    return e.key.length === 1 ? e.key.toUpperCase() : e.key;
+}
+
+export function displayKey(name) {
+    return ARROWS[name] || name.toUpperCase();
+}
+
+function defaults() {
+    return JSON.parse(JSON.stringify(DEFAULT_KEYMAP));
+}
+
+// Saved maps are laid over the defaults so actions added later still get a key.
+export function loadKeymap() {
+    const map = defaults();
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(STORAGE_KEY)); } catch (e) { saved = null; }
+    if (!saved || typeof saved !== 'object') return map;
+    for (const { id } of KEY_ACTIONS) {
+        if (Array.isArray(saved[id])) map[id] = saved[id].filter(k => typeof k === 'string');
+    }
+    return map;
+}
+
+export function saveKeymap(map) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(map));
+}
+
+export function resetKeymap() {
+    localStorage.removeItem(STORAGE_KEY);
+    return defaults();
+}
+
+// A key drives one action, so binding it takes it off whatever had it before.
+// Returns the id of that previous action, or null.
+export function bindKey(map, actionId, key) {
+    let stolen = null;
+    for (const id of Object.keys(map)) {
+        if (id !== actionId && map[id].includes(key)) stolen = id;
+        map[id] = map[id].filter(k => k !== key);
+    }
+    map[actionId] = [key];
+    return stolen;
+}
+
+export function keyIndex(map) {
+    const index = new Map();
+    for (const [id, keys] of Object.entries(map)) keys.forEach(k => index.set(k, id));
+    return index;
+}
@@ -0,0 +1,239 @@
+/* =========================================
+   XOZY-EP STANDARD MIDI FILE
+   ========================================= */
+
+import { SequencerEngine, FIXED_STEPS, stepForVelocity } from '../../engine.js';
+import { createRng } from './random.js';
+import { ManualClock } from './clock.js';
+import { RecordingOutput } from './midi-output.js';
+
+export const PPQ = 480;
+const GROUP_NAMES = ['GROUP A', 'GROUP B', 'GROUP C', 'GROUP D'];
+
+// --- RENDER ---
+// Runs the engine's own scheduleNote against a virtual clock and captures what it sends.
+// In song mode the shadow walks the arrangement exactly as playback would. It works on copies
+// of the patterns and song, so switching slots mid-render can't touch the live project.
+export function renderSequence(engine, { bars = renderBars(engine), seed = null } = {}) {
+    const output = new RecordingOutput('RENDER');
+    const shadow = new SequencerEngine({ clock: new ManualClock(), output });
+    shadow.setPatterns(structuredClone(engine.banks), [...engine.active]);
+    shadow.song = structuredClone(engine.song);
+    shadow.songMode = engine.songMode;
+    shadow.globalBars = engine.globalBars;
+    shadow.loop = true;
+    // The file always carries group A-D on channels 1-4, whatever the device profile maps them to.
+    shadow.profile = { ...engine.profile, groupChannels: [0, 1, 2, 3] };
+    shadow.bpm = engine.bpm;
+    shadow.swing = engine.swing;
+    shadow.humanize = engine.humanize;
+    // Mixer feel and levels carry over; routing doesn't, for the same reason as the channels.
+    shadow.mixer = engine.mixer.map(strip => ({ ...strip, channel: null, port: null }));
+    shadow.grooves = engine.grooves;
+    shadow.key = engine.key;
+    shadow.scale = engine.scale;
+    // Nothing can stop an offline render, so notes go straight to the recording.
+    shadow.holdNotes = false;
+    shadow.random = seed === null || seed === '' ? Math.random : createRng(seed);
+
+    const secondsPer16th = (60.0 / shadow.bpm) * 0.25;
+    if (shadow.songMode && shadow.song.length > 0) {
+        shadow.enterSongEntry(0);
+        for (let n = 0; n < bars * 16; n++) {
+            if (shadow.current16thNote >= shadow.globalBars * 16) shadow.nextPass();
+            shadow.scheduleNote(shadow.current16thNote++, n * secondsPer16th);
+        }
+    } else {
+        for (let beat = 0; beat < bars * 16; beat++) shadow.scheduleNote(beat, beat * secondsPer16th);
+    }
+    return output.events().map(m => ({ data: m.data, ms: m.time }));
+}
+
+export function renderBars(engine) {
+    return engine.songMode && engine.song.length > 0 ? engine.songBars() : engine.globalBars;
+}
+
+// --- WRITE ---
+export function buildMidiFile(events, { bpm, bars, ppq = PPQ }) {
+    const msToTicks = (ms) => Math.max(0, Math.round((ms / 1000) * (bpm / 60) * ppq));
+    const endTick = bars * 4 * ppq;
+
+    const tracks = GROUP_NAMES.map(() => []);
+    events.forEach(ev => {
+        const status = ev.data[0];
+        if (status >= 0xF0) return;
+        const chan = status & 0x0F;
+        if (chan < tracks.length) tracks[chan].push({ tick: msToTicks(ev.ms), data: ev.data });
+    });
+
+    const usPerQuarter = Math.round(60000000 / bpm);
+    const conductor = [
+        metaEvent(0, 0x03, textBytes('XOZY-EP')),
+        metaEvent(0, 0x51, [(usPerQuarter >> 16) & 0xFF, (usPerQuarter >> 8) & 0xFF, usPerQuarter & 0xFF]),
+        metaEvent(0, 0x58, [4, 2, 24, 8])
+    ];
+
+    const chunks = [trackChunk(conductor, endTick)];
+    tracks.forEach((list, g) => {
+        // Note-offs sort ahead of note-ons on the same tick so retriggers don't swallow each other.
+        list.sort((a, b) => (a.tick - b.tick) || (isNoteOff(b.data) - isNoteOff(a.data)));
+        chunks.push(trackChunk([metaEvent(0, 0x03, textBytes(GROUP_NAMES[g])), ...list], endTick));
+    });
+
+    const header = [
+        ...textBytes('MThd'), ...u32(6),
+        ...u16(1), ...u16(chunks.length), ...u16(ppq)
+    ];
+    return Uint8Array.from([...header, ...chunks.flat()]);
+}
+
+export function exportMidiFile(engine, { bars = renderBars(engine), seed = null } = {}) {
+    const events = renderSequence(engine, { bars, seed });
+    return buildMidiFile(events, { bpm: engine.bpm, bars });
+}
+
+function isNoteOff(data) {
+    const type = data[0] & 0xF0;
+    return type === 0x80 || (type === 0x90 && data[2] === 0) ? 1 : 0;
+}
+
+function metaEvent(tick, type, bytes) {
+    return { tick, data: [0xFF, type, ...vlq(bytes.length), ...bytes] };
+}
+
+function trackChunk(list, endTick) {
+    const body = [];
+    let last = 0;
+    list.forEach(ev => {
+        body.push(...vlq(ev.tick - last), ...ev.data);
+        last = ev.tick;
+    });
+    body.push(...vlq(Math.max(0, endTick - last)), 0xFF, 0x2F, 0x00);
+    return [...textBytes('MTrk'), ...u32(body.length), ...body];
+}
+
+function vlq(n) {
+    const out = [n & 0x7F];
+    while ((n >>= 7) > 0) out.unshift((n & 0x7F) | 0x80);
+    return out;
+}
+
+function textBytes(str) {
+    return Array.from(str, c => c.charCodeAt(0) & 0x7F);
+}
+
+function u32(n) {
+    return [(n >>> 24) & 0xFF, (n >>> 16) & 0xFF, (n >>> 8) & 0xFF, n & 0xFF];
+}
+
+function u16(n) {
+    return [(n >> 8) & 0xFF, n & 0xFF];
+}
+
+// --- READ ---
+export function parseMidiFile(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    let pos = 0;
+    const readStr = (n) => String.fromCharCode(...bytes.subarray(pos, pos += n));
+    const read32 = () => ((bytes[pos++] << 24) | (bytes[pos++] << 16) | (bytes[pos++] << 8) | bytes[pos++]) >>> 0;
+    const read16 = () => (bytes[pos++] << 8) | bytes[pos++];
+    const readVlq = () => {
+        let n = 0, b;
+        do { b = bytes[pos++]; n = (n << 7) | (b & 0x7F); } while (b & 0x80);
+        return n;
+    };
+
+    if (readStr(4) !== 'MThd') throw new Error('NOT A MIDI FILE');
+    const headerLen = read32();
+    const format = read16();
+    const trackCount = read16();
+    const ppq = read16();
+    pos = 8 + headerLen;
+    if (ppq & 0x8000) throw new Error('SMPTE TIMING UNSUPPORTED');
+
+    const tracks = [];
+    let bpm = null;
+    for (let t = 0; t < trackCount && pos < bytes.length; t++) {
+        if (readStr(4) !== 'MTrk') throw new Error(`BAD TRACK ${t}`);
+        const end = read32() + pos;
+        const notes = [];
+        let tick = 0, running = 0;
+        while (pos < end) {
+            tick += readVlq();
+            let status = bytes[pos];
+            if (status & 0x80) pos++;
+            else status = running;
+
+            if (status === 0xFF) {
+                const type = bytes[pos++];
+                const len = readVlq();
+                if (type === 0x51 && bpm === null) bpm = 60000000 / ((bytes[pos] << 16) | (bytes[pos + 1] << 8) | bytes[pos + 2]);
+                pos += len;
+            } else if (status === 0xF0 || status === 0xF7) {
+                pos += readVlq();
+            } else {
+                running = status;
+                const type = status & 0xF0;
+                const d1 = bytes[pos++];
+                const d2 = (type === 0xC0 || type === 0xD0) ? 0 : bytes[pos++];
+                if (type === 0x90 && d2 > 0) notes.push({ tick, channel: status & 0x0F, note: d1, velocity: d2 });
+            }
+        }
+        pos = end;
+        tracks.push(notes);
+    }
+    return { format, ppq, bpm, notes: tracks.flat().sort((a, b) => a.tick - b.tick) };
+}
+
+// Quantises note-ons to the 16th grid and maps them onto a group's pads by midiNote.
+export function importMidiPattern(midi, group, { autoAssign = false } = {}) {
+    const ticksPer16th = midi.ppq / 4;
+    const lastStep = midi.notes.reduce((m, n) => Math.max(m, Math.round(n.tick / ticksPer16th)), 0);
+    const length = Math.min(FIXED_STEPS, Math.ceil((lastStep + 1) / 16) * 16);
+
+    const byNote = new Map();
+    let dropped = 0;
+    midi.notes.forEach(n => {
+        const step = Math.round(n.tick / ticksPer16th);
+        if (step >= FIXED_STEPS) { dropped++; return; }
+        if (!byNote.has(n.note)) byNote.set(n.note, Array(length).fill('O'));
+        const steps = byNote.get(n.note);
+        const c = stepForVelocity(n.velocity);
+        // Keep the loudest hit when two notes land on the same step.
+        if (steps[step % length] === 'O' || c < steps[step % length]) steps[step % length] = c;
+    });
+
+    const result = { length, dropped, filled: [], unmatched: [], assigned: [] };
+    const claimed = new Set();
+    for (const [note, steps] of byNote) {
+        const p = group.findIndex(pad => pad.midiNote === note);
+        if (p < 0) { result.unmatched.push({ note, hits: steps.filter(c => c !== 'O').length }); continue; }
+        writeSteps(group[p], steps);
+        claimed.add(p);
+        result.filled.push(p);
+    }
+
+    if (autoAssign) {
+        result.unmatched = result.unmatched.filter(({ note }) => {
+            const p = group.findIndex((pad, i) => !claimed.has(i) && pad.mode === 'drum' && pad.notes.every(c => c === 'O'));
+            if (p < 0) return true;
+            group[p].midiNote = note;
+            writeSteps(group[p], byNote.get(note));
+            claimed.add(p);
+            result.assigned.push({ note, pad: p });
+            return false;
+        });
+    }
+    return result;
+}
+
+// The old per-step settings belonged to the old hits, so they go back to their defaults.
+function writeSteps(pad, steps) {
+    pad.steps = steps.length;
+    pad.rate = '1';
+    for (let i = 0; i < FIXED_STEPS; i++) pad.notes[i] = steps[i % steps.length];
+    pad.prob.fill(100);
+    pad.cond.fill('none');
+    pad.ratchet.fill(1);
+    pad.nudge.fill(0);
+}
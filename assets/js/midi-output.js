@@ -0,0 +1,47 @@
+/* =========================================
+   XOZY-EP MIDI OUTPUTS
+   ========================================= */
+
+// Anything with send(data, timestamp) can stand in for a WebMIDI MIDIOutput; an optional
+// clear() drops whatever is still queued, as MIDIOutput.clear() does.
+
+// --- FAN-OUT ---
+// Sends every message to each output in turn, e.g. a MIDI port plus the internal synth.
+export class SplitOutput {
+    constructor(outputs) {
+        this.outputs = outputs;
+        this.name = outputs.map(o => o.name || 'UNKNOWN').join(' + ');
+
+        // Only clearable when every output is; half a clear would leave the rest of the queue playing.
+        if (outputs.every(o => typeof o.clear === 'function')) this.clear = () => outputs.forEach(o => o.clear());
+    }
+
+    send(data, timestamp) {
+        this.outputs.forEach(o => o.send(data, timestamp));
+    }
+}
+
+// --- RECORDING / VIRTUAL ---
+export class RecordingOutput {
+    constructor(name = 'VIRTUAL') {
+        this.name = name;
+        this.messages = [];
+    }
+
+    send(data, timestamp = 0) {
+        this.messages.push({ data: Array.from(data), time: timestamp });
+    }
+
+    reset() {
+        this.messages = [];
+    }
+
+    // Channel voice messages only, sorted by timestamp (drops clock/transport).
+    events() {
+        return this.messages.filter(m => m.data[0] < 0xF0).sort((a, b) => a.time - b.time);
+    }
+
+    noteOns() {
+        return this.events().filter(m => (m.data[0] & 0xF0) === 0x90 && m.data[2] > 0);
+    }
+}
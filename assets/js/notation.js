@@ -0,0 +1,219 @@
+/* =========================================
+   XOZY-EP TEXT NOTATION & SHARE LINKS
+   ========================================= */
+
+// One header line, then one line per pad that isn't blank:
+//
+//   XOZY1 PROJECT BPM=96 SWING=20 BARS=4 KEY=A SCALE=minor
+//   A1 XO3XO3XO3XO3
+//   A2 O4XO7XO3 NOTE=38
+//   B3 XO7 LEN=32 RATE=1/2 CHORD=A3.min.7.0.close.0 PROG=1-6-4-5 ARP=up.1/16.1.50.0.4
+//
+// Step runs of three or more are written as the character and a count (O4 = OOOO). The pattern
+// is the shortest repeat of the pad's steps; LEN gives the length when it's longer than that.
+// Lines may also be separated by ';' so a whole beat fits on one chat line.
+
+import { FIXED_STEPS, PAD_RATES, clamp } from '../../engine.js';
+import { NOTE_NAMES, SCALES } from './theory.js';
+import { normalizePad } from './project-file.js';
+
+export const NOTATION_TAG = 'XOZY1';
+const HASH_KEY = 'xozy=';
+const GROUP_NAMES = ['A', 'B', 'C', 'D'];
+const DEFAULT_STRUM = { dir: 'up', ms: 5 };
+
+// --- STEPS ---
+function encodeSteps(notes) {
+    return notes.join('').replace(/([OXYZ])\1{2,}/g, run => `${run[0]}${run.length}`);
+}
+
+function decodeSteps(token) {
+    if (!/^([OXYZ]\d*)+$/i.test(token)) return null;
+    let out = '';
+    for (const [, c, n] of token.toUpperCase().matchAll(/([OXYZ])(\d*)/g)) {
+        // One past the limit is enough to reject the token; a huge count must not get built first.
+        const count = n ? parseInt(n, 10) : 1;
+        out += c.repeat(Math.min(count, FIXED_STEPS + 1 - out.length));
+        if (out.length > FIXED_STEPS) return null;
+    }
+    return out.length > 0 ? out : null;
+}
+
+function shortestRepeat(notes) {
+    for (let len = 1; len < notes.length; len++) {
+        if (notes.length % len === 0 && notes.every((c, i) => c === notes[i % len])) return notes.slice(0, len);
+    }
+    return notes;
+}
+
+// --- ENCODE ---
+function encodePad(pad, defaultNote) {
+    const notes = pad.notes.slice(0, pad.steps);
+    const blank = notes.every(c => c === 'O') && pad.mode === 'drum' && pad.steps === FIXED_STEPS
+        && pad.rate === '1' && pad.midiNote === defaultNote && !pad.muted;
+    if (blank) return null;
+
+    const pattern = shortestRepeat(notes);
+    const tokens = [encodeSteps(pattern)];
+    if (pattern.length !== pad.steps) tokens.push(`LEN=${pad.steps}`);
+    if (pad.rate !== '1') tokens.push(`RATE=${pad.rate}`);
+    if (pad.midiNote !== defaultNote) tokens.push(`NOTE=${pad.midiNote}`);
+    if (pad.muted) tokens.push('MUTE');
+    if (pad.mode === 'chord') {
+        const c = pad.chord;
+        tokens.push(`CHORD=${NOTE_NAMES[c.root]}${c.oct}.${c.quality}.${c.ext}.${c.inv}.${c.voice}.${c.flux}`);
+        if (c.prog.length) tokens.push(`PROG=${c.prog.map(d => d + 1).join('-')}`);
+        if (c.advance !== 'bar') tokens.push(`ADV=${c.advance}`);
+        if (c.lead) tokens.push('LEAD');
+        const a = c.arp;
+        if (a.mode !== 'off') tokens.push(`ARP=${a.mode}.${a.rate}.${a.octaves}.${a.gate}.${a.swing}.${a.hold}`);
+        if (c.strum.dir !== DEFAULT_STRUM.dir || c.strum.ms !== DEFAULT_STRUM.ms) tokens.push(`STRUM=${c.strum.dir}.${c.strum.ms}`);
+    }
+    return tokens.join(' ');
+}
+
+// group: a group index to share just that group, or null for the whole project.
+export function encodeNotation(engine, { group = null } = {}) {
+    const head = [NOTATION_TAG, group === null ? 'PROJECT' : 'GROUP', `BPM=${engine.bpm}`, `SWING=${engine.swing}`];
+    if (group === null) head.push(`BARS=${engine.globalBars}`);
+    head.push(`KEY=${NOTE_NAMES[engine.key]}`, `SCALE=${engine.scale}`);
+    const lines = [head.join(' ')];
+    const groups = group === null ? [0, 1, 2, 3] : [group];
+    groups.forEach(g => engine.projectData[g].forEach((pad, p) => {
+        const line = encodePad(pad, engine.profile.padNotes[p]);
+        if (line) lines.push(`${GROUP_NAMES[g]}${p + 1} ${line}`);
+    }));
+    return lines.join('\n');
+}
+
+// --- DECODE ---
+// Warnings quote what they couldn't read; keep that to a short run of notation characters.
+function quote(tok) {
+    const clean = String(tok).replace(/[^\w.#=:+-]/g, '?');
+    return clean.length > 16 ? `${clean.slice(0, 16)}...` : clean;
+}
+
+function parseHeader(tokens, warnings) {
+    const settings = {};
+    tokens.forEach(tok => {
+        const [name, v = ''] = tok.split('=');
+        const k = name.toUpperCase();
+        const n = parseInt(v, 10);
+        if (k === 'BPM' && !isNaN(n)) settings.bpm = clamp(n, 20, 300);
+        else if (k === 'SWING' && !isNaN(n)) settings.swing = clamp(n, 0, 75);
+        else if (k === 'BARS' && !isNaN(n)) settings.globalBars = clamp(n, 1, 64);
+        else if (k === 'KEY' && NOTE_NAMES.includes(v.toUpperCase())) settings.key = NOTE_NAMES.indexOf(v.toUpperCase());
+        else if (k === 'SCALE' && SCALES[v]) settings.scale = v;
+        else warnings.push(`IGNORED ${quote(tok)}`);
+    });
+    return settings;
+}
+
+// Builds a raw pad in the project-file shape; normalizePad does the range checking.
+function parsePadTokens(tokens, warnings, where) {
+    const raw = {};
+    const chord = {};
+    tokens.forEach(tok => {
+        const [name, v = ''] = tok.split('=');
+        const k = name.toUpperCase();
+        const parts = v.split('.');
+        if (k === 'LEN') raw.steps = parseInt(v, 10);
+        else if (k === 'RATE' && PAD_RATES[v] !== undefined) raw.rate = v;
+        else if (k === 'NOTE') raw.midiNote = parseInt(v, 10);
+        else if (k === 'MUTE') raw.muted = true;
+        else if (k === 'CHORD') {
+            const root = /^([A-G]#?)(\d)$/i.exec(parts[0]);
+            if (!root) return warnings.push(`${where} BAD CHORD ${quote(v)}`);
+            raw.mode = 'chord';
+            Object.assign(chord, {
+                root: NOTE_NAMES.indexOf(root[1].toUpperCase()), oct: parseInt(root[2], 10),
+                quality: parts[1], ext: parts[2], inv: parseInt(parts[3], 10), voice: parts[4], flux: parseInt(parts[5], 10)
+            });
+        } else if (k === 'PROG') chord.prog = v.split('-').map(d => parseInt(d, 10) - 1);
+        else if (k === 'ADV') chord.advance = v;
+        else if (k === 'LEAD') chord.lead = true;
+        else if (k === 'ARP') {
+            const [mode, rate, octaves, gate, swing, hold] = parts;
+            chord.arp = { mode, rate, octaves, gate, swing, hold };
+        } else if (k === 'STRUM') chord.strum = { dir: parts[0], ms: parts[1] };
+        else warnings.push(`${where} IGNORED ${quote(tok)}`);
+    });
+    if (Object.keys(chord).length) raw.chord = chord;
+    return raw;
+}
+
+// Returns { scope, settings, groups, warnings }: groups[g] is a list of { p, raw } or null
+// when the text doesn't mention that group. Throws only when the header is missing.
+export function parseNotation(text) {
+    const lines = String(text).split(/[\n;]+/).map(l => l.trim()).filter(Boolean);
+    const head = (lines.shift() || '').split(/\s+/);
+    if (head[0] !== NOTATION_TAG) throw new Error('NOT XOZY NOTATION');
+    const warnings = [];
+    const rest = head.slice(1);
+    const scope = rest[0] === 'GROUP' ? 'group' : 'project';
+    if (rest[0] === 'GROUP' || rest[0] === 'PROJECT') rest.shift();
+    const settings = parseHeader(rest, warnings);
+    const groups = [null, null, null, null];
+
+    lines.forEach(line => {
+        const [id, pattern = '', ...tokens] = line.split(/\s+/);
+        const m = /^([A-D])(\d{1,2})$/i.exec(id);
+        const p = m ? parseInt(m[2], 10) - 1 : -1;
+        const steps = decodeSteps(pattern);
+        if (p < 0 || p > 11 || !steps) return warnings.push(`SKIPPED ${quote(id)}`);
+        const raw = parsePadTokens(tokens, warnings, id.toUpperCase());
+        raw.steps = raw.steps || steps.length;
+        raw.notes = Array.from({ length: FIXED_STEPS }, (_, i) => steps[i % steps.length]).join('');
+        const g = GROUP_NAMES.indexOf(m[1].toUpperCase());
+        (groups[g] = groups[g] || []).push({ p, raw });
+    });
+    return { scope, settings, groups, warnings };
+}
+
+// A project replaces all four groups; a group lands in `target` (default: the group it was
+// shared from). Pads are rewritten inside the existing group arrays so pattern slots stay linked.
+// Returns the indices of the groups that were written.
+export function applyNotation(engine, parsed, { target = null } = {}) {
+    const s = parsed.settings;
+    if (s.bpm !== undefined) engine.bpm = s.bpm;
+    if (s.swing !== undefined) engine.swing = s.swing;
+    if (s.globalBars !== undefined) engine.globalBars = s.globalBars;
+    if (s.key !== undefined) engine.key = s.key;
+    if (s.scale !== undefined) engine.scale = s.scale;
+
+    let writes;
+    if (parsed.scope === 'group') {
+        const from = parsed.groups.findIndex(Boolean);
+        const to = target ?? Math.max(from, 0);
+        writes = [[to, from < 0 ? [] : parsed.groups[from]]];
+    } else {
+        writes = parsed.groups.map((pads, g) => [g, pads || []]);
+    }
+    writes.forEach(([g, pads]) => {
+        const group = engine.projectData[g];
+        const fresh = Array.from({ length: 12 }, (_, p) => {
+            const entry = pads.find(e => e.p === p);
+            return normalizePad({ midiNote: engine.profile.padNotes[p], ...(entry ? entry.raw : {}) }, p, parsed.warnings);
+        });
+        group.splice(0, group.length, ...fresh);
+    });
+    return writes.map(([g]) => g);
+}
+
+// --- SHARE LINKS ---
+// The hash carries the notation as URL-safe base64 so newlines and '#' survive chat apps.
+export function notationToHash(text) {
+    const b64 = btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return `#${HASH_KEY}${b64}`;
+}
+
+export function notationFromHash(hash) {
+    const at = String(hash).indexOf(HASH_KEY);
+    if (at < 0) return null;
+    const b64 = String(hash).slice(at + HASH_KEY.length).replace(/-/g, '+').replace(/_/g, '/');
+    try {
+        return atob(b64);
+    } catch (e) {
+        throw new Error('BAD SHARE LINK');
+    }
+}
@@ -0,0 +1,156 @@
+/* =========================================
+   XOZY-EP USER PRESET LIBRARY
+   ========================================= */
+
+// User presets use the built-in shapes, { name, pat } for one pad and
+// { name, type: 'multi', tracks: { pad: pat } } for a group, plus an id, a category and tags.
+
+import { PRESETS, FIXED_STEPS } from '../../engine.js';
+
+export const PACK_FORMAT = 'xozy-ep-presets';
+export const PACK_VERSION = 1;
+
+const STORAGE_KEY = 'oxo_presets';
+const DEFAULT_CATEGORY = 'USER';
+const STEP_PATTERN = /^[OXYZ]+$/;
+
+// --- BUILDING ---
+export function presetFromPad(pad, meta) {
+    return { ...meta, pat: pad.notes.slice(0, pad.steps).join('') };
+}
+
+// Pads with no hits are left out, so loading the preset keeps whatever is on them.
+export function presetFromGroup(group, meta) {
+    const tracks = {};
+    group.forEach((pad, p) => {
+        const pat = pad.notes.slice(0, pad.steps).join('');
+        if (/[XYZ]/.test(pat)) tracks[p] = pat;
+    });
+    return { ...meta, type: 'multi', tracks };
+}
+
+export function isMulti(preset) {
+    return preset.type === 'multi';
+}
+
+// --- VALIDATION ---
+function cleanPattern(pat) {
+    const clean = String(pat ?? '').replace(/\s/g, '').toUpperCase();
+    return STEP_PATTERN.test(clean) && clean.length <= FIXED_STEPS ? clean : null;
+}
+
+export function parseTags(text) {
+    return [...new Set(String(text).toUpperCase().split(/[\s,]+/).filter(Boolean))].slice(0, 8);
+}
+
+// Returns null when there is nothing loadable left.
+export function normalizePreset(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const name = String(raw.name ?? '').trim().toUpperCase().slice(0, 32);
+    if (!name) return null;
+    const preset = {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : newId(),
+        name,
+        category: String(raw.category ?? '').trim().toUpperCase().slice(0, 24) || DEFAULT_CATEGORY,
+        tags: Array.isArray(raw.tags) ? parseTags(raw.tags.join(' ')) : []
+    };
+    if (raw.type === 'multi') {
+        const tracks = {};
+        Object.entries(raw.tracks || {}).forEach(([p, pat]) => {
+            const idx = parseInt(p, 10);
+            const clean = cleanPattern(pat);
+            if (idx >= 0 && idx < 12 && clean) tracks[idx] = clean;
+        });
+        if (Object.keys(tracks).length === 0) return null;
+        return { ...preset, type: 'multi', tracks };
+    }
+    const pat = cleanPattern(raw.pat);
+    return pat ? { ...preset, pat } : null;
+}
+
+// randomUUID needs a secure context; elsewhere a per-session counter keeps ids made in the
+// same millisecond (a whole pack import) apart.
+let idCount = 0;
+function newId() {
+    if (globalThis.crypto?.randomUUID) return `u${crypto.randomUUID()}`;
+    return `u${Date.now().toString(36)}${(idCount++).toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+}
+
+// --- STORAGE ---
+export function listUserPresets() {
+    let list = null;
+    try { list = JSON.parse(localStorage.getItem(STORAGE_KEY)); } catch (e) { list = null; }
+    return Array.isArray(list) ? list.map(normalizePreset).filter(Boolean) : [];
+}
+
+function writeUserPresets(list) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+}
+
+// Saving under a name already used in the same category replaces that preset.
+export function saveUserPreset(raw) {
+    const preset = normalizePreset(raw);
+    if (!preset) throw new Error('NOTHING TO SAVE');
+    const list = listUserPresets().filter(p => !(p.name === preset.name && p.category === preset.category));
+    list.push(preset);
+    writeUserPresets(list);
+    return preset;
+}
+
+export function updateUserPreset(id, changes) {
+    const list = listUserPresets();
+    const i = list.findIndex(p => p.id === id);
+    if (i < 0) return null;
+    const preset = normalizePreset({ ...list[i], ...changes, id });
+    if (!preset) return null;
+    list[i] = preset;
+    writeUserPresets(list);
+    return preset;
+}
+
+export function deleteUserPreset(id) {
+    writeUserPresets(listUserPresets().filter(p => p.id !== id));
+}
+
+// --- SEARCH ---
+// Every word of the query has to appear in the name, the category or one of the tags.
+export function searchPresets(list, query) {
+    const words = String(query).toUpperCase().split(/\s+/).filter(Boolean);
+    return list.filter(p => {
+        const hay = [p.name, p.category, ...p.tags].join(' ');
+        return words.every(w => hay.includes(w));
+    });
+}
+
+// Built-in categories first, then the user's, each as { category, user, presets }.
+export function presetCategories(userPresets = listUserPresets()) {
+    const cats = Object.entries(PRESETS).map(([category, presets]) => ({ category, user: false, presets }));
+    userPresets.forEach(p => {
+        let cat = cats.find(c => c.user && c.category === p.category);
+        if (!cat) cats.push(cat = { category: p.category, user: true, presets: [] });
+        cat.presets.push(p);
+    });
+    return cats;
+}
+
+// --- PACKS ---
+export function exportPack(presets) {
+    return { format: PACK_FORMAT, version: PACK_VERSION, presets: presets.map(({ id, ...p }) => p) };
+}
+
+// Imported presets get fresh ids; one matching an existing name and category replaces it.
+// Returns { added, skipped }.
+export function importPack(input) {
+    const doc = typeof input === 'string' ? JSON.parse(input) : input;
+    if (!doc || doc.format !== PACK_FORMAT || !Array.isArray(doc.presets)) throw new Error('NOT A PRESET PACK');
+    if (doc.version > PACK_VERSION) throw new Error(`PACK v${doc.version} IS NEWER THAN v${PACK_VERSION}`);
+    let added = 0;
+    let skipped = 0;
+    doc.presets.forEach(raw => {
+        const preset = normalizePreset({ ...raw, id: null });
+        if (!preset) return skipped++;
+        saveUserPreset(preset);
+        added++;
+    });
+    return { added, skipped };
+}
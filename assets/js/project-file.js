@@ -0,0 +1,411 @@
+/* =========================================
+   XOZY-EP PROJECT FILE
+   ========================================= */
+
+import {
+    FIXED_STEPS, LANE_TARGETS, MAX_LANES, PAD_RATES, STEP_CONDITIONS, MAX_RATCHET, PATTERN_SLOTS, MAX_REPEATS,
+    PROG_ADVANCE, ARP_MODES, ARP_RATES, STRUM_DIRS, clamp, createPad, createLane, createSongEntry, createStrip,
+    createPerform, MAX_SCENES
+} from '../../engine.js';
+import { SCALES } from './theory.js';
+import { GROOVES, MAX_USER_GROOVES, normalizeGroove } from './grooves.js';
+
+export const PROJECT_FORMAT = 'xozy-ep-project';
+export const PROJECT_VERSION = 6;
+
+const AUTOSAVE_KEY = 'oxo_autosave';
+const LIBRARY_KEY = 'oxo_projects';
+const PROJECT_PREFIX = 'oxo_project:';
+
+const STEP_CHARS = ['O', 'X', 'Y', 'Z'];
+const VEL_MODES = ['xyz', 'fixed', 'range'];
+const PAD_MODES = ['drum', 'chord'];
+const QUALITIES = ['maj', 'min', 'dom', 'dim', 'aug', 'sus2', 'sus4'];
+const EXTENSIONS = ['none', '7', '9', '11', '13', '6'];
+const VOICINGS = ['close', 'wide', 'open'];
+
+// --- SERIALIZE ---
+export function serializeProject(engine, name = 'UNTITLED') {
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        name,
+        settings: {
+            bpm: engine.bpm,
+            swing: engine.swing,
+            globalBars: engine.globalBars,
+            humanize: engine.humanize,
+            loop: engine.loop,
+            key: engine.key,
+            scale: engine.scale
+        },
+        patterns: engine.banks.map(slots => slots.map(group => (group ? group.map(serializePad) : null))),
+        active: [...engine.active],
+        song: { mode: engine.songMode, entries: JSON.parse(JSON.stringify(engine.song)) },
+        mixer: JSON.parse(JSON.stringify(engine.mixer)),
+        grooves: JSON.parse(JSON.stringify(engine.grooves)),
+        perform: JSON.parse(JSON.stringify(engine.perform)),
+        scenes: JSON.parse(JSON.stringify(engine.scenes))
+    };
+}
+
+// Step strings are written as one string and per-step arrays keep only the steps that differ
+// from the default, as { step: value }, so a mostly empty project stays small.
+function serializePad(pad) {
+    const { notes, nudge, prob, cond, ratchet, lanes, ...rest } = pad;
+    const doc = { ...JSON.parse(JSON.stringify(rest)), notes: notes.join('') };
+    const steps = { nudge: [nudge, 0], prob: [prob, 100], cond: [cond, 'none'], ratchet: [ratchet, 1] };
+    Object.entries(steps).forEach(([key, [values, fallback]]) => {
+        const sparse = sparseSteps(values, fallback);
+        if (sparse) doc[key] = sparse;
+    });
+    doc.lanes = lanes.map(({ values, ...lane }) => {
+        const sparse = sparseSteps(values, null);
+        return sparse ? { ...lane, values: sparse } : lane;
+    });
+    return doc;
+}
+
+function sparseSteps(values, fallback) {
+    const out = {};
+    values.forEach((v, i) => { if (v !== fallback) out[i] = v; });
+    return Object.keys(out).length ? out : null;
+}
+
+// --- PARSE / MIGRATE ---
+// Version 0 is the bare projectData array from before the envelope existed.
+// Version 1 pads carried a single auto[] lane (0 = off) aimed at autoTargetCC.
+// Version 2 had one pattern per group in projectData; it becomes slot 1 of each group's bank.
+// Version 3 had no mixer: every group followed the global swing and humanize.
+// Version 4 had no variation/fill slots or scenes.
+// Version 5 wrote every per-step array in full; the reader still takes both shapes.
+const MIGRATIONS = {
+    0: (doc) => ({ format: PROJECT_FORMAT, version: 1, name: doc.name, settings: {}, projectData: doc.projectData }),
+    1: (doc) => ({ ...doc, version: 2, projectData: mapPads(doc.projectData, migrateAutoLane) }),
+    2: ({ projectData, ...doc }) => ({
+        ...doc,
+        version: 3,
+        patterns: Array.isArray(projectData) ? projectData.map(group => [group]) : projectData,
+        active: [0, 0, 0, 0],
+        song: { mode: false, entries: [] }
+    }),
+    3: (doc) => ({ ...doc, version: 4, mixer: [0, 1, 2, 3].map(() => createStrip()), grooves: [] }),
+    4: (doc) => ({ ...doc, version: 5, perform: [0, 1, 2, 3].map(() => createPerform()), scenes: [] }),
+    5: (doc) => ({ ...doc, version: 6 })
+};
+
+function mapPads(projectData, fn) {
+    if (!Array.isArray(projectData)) return projectData;
+    return projectData.map(group => Array.isArray(group) ? group.map(pad => (pad && typeof pad === 'object') ? fn(pad) : pad) : group);
+}
+
+function migrateAutoLane(pad) {
+    const { auto, autoTargetCC, ...rest } = pad;
+    if (!Array.isArray(auto)) return rest;
+    return {
+        ...rest,
+        lanes: [{ target: 'cc', cc: autoTargetCC ?? 74, interp: false, values: auto.map(v => (v > 0 ? v : null)) }]
+    };
+}
+
+export function parseProject(input) {
+    let doc = typeof input === 'string' ? JSON.parse(input) : input;
+    if (Array.isArray(doc)) doc = { version: 0, projectData: doc };
+    if (!doc || typeof doc !== 'object') throw new Error('NOT A PROJECT FILE');
+    if (doc.format && doc.format !== PROJECT_FORMAT) throw new Error(`UNKNOWN FORMAT ${doc.format}`);
+
+    let version = Number.isInteger(doc.version) ? doc.version : 0;
+    if (version > PROJECT_VERSION) throw new Error(`PROJECT v${version} IS NEWER THAN v${PROJECT_VERSION}`);
+    while (version < PROJECT_VERSION) {
+        doc = MIGRATIONS[version](doc);
+        version = doc.version;
+    }
+
+    const warnings = [];
+    const s = doc.settings || {};
+    const patterns = normalizePatterns(doc.patterns, warnings);
+    const active = Array.from({ length: 4 }, (_, g) => {
+        const slot = clamp(toInt(Array.isArray(doc.active) ? doc.active[g] : 0, 0), 0, PATTERN_SLOTS - 1);
+        return patterns[g][slot] ? slot : 0;
+    });
+    const song = doc.song && typeof doc.song === 'object' ? doc.song : {};
+    const grooves = normalizeGrooves(doc.grooves);
+    return {
+        name: projectName(doc.name),
+        settings: {
+            bpm: clamp(toInt(s.bpm, 120), 20, 300),
+            swing: clamp(toInt(s.swing, 0), 0, 75),
+            globalBars: clamp(toInt(s.globalBars, 4), 1, 64),
+            humanize: s.humanize === true,
+            loop: s.loop === true,
+            key: clamp(toInt(s.key, 0), 0, 11),
+            scale: pick(s.scale, Object.keys(SCALES), 'major')
+        },
+        patterns,
+        active,
+        projectData: patterns.map((slots, g) => slots[active[g]]),
+        song: {
+            mode: song.mode === true,
+            entries: Array.isArray(song.entries) ? song.entries.map(e => normalizeSongEntry(e, patterns)).filter(Boolean) : []
+        },
+        mixer: Array.from({ length: 4 }, (_, g) => normalizeStrip(Array.isArray(doc.mixer) ? doc.mixer[g] : null, g, grooves, warnings)),
+        grooves,
+        perform: Array.from({ length: 4 }, (_, g) => normalizePerform(Array.isArray(doc.perform) ? doc.perform[g] : null)),
+        scenes: Array.isArray(doc.scenes) ? doc.scenes.slice(0, MAX_SCENES).map(sc => normalizeScene(sc, patterns, warnings)).filter(Boolean) : [],
+        warnings
+    };
+}
+
+// Slot 1 of every group always exists; unused slots stay null so files don't carry empty pads.
+function normalizePatterns(raw, warnings) {
+    if (!Array.isArray(raw)) warnings.push('NO PATTERN DATA');
+    return Array.from({ length: 4 }, (_, g) => {
+        const slots = Array.isArray(raw) && Array.isArray(raw[g]) ? raw[g] : [];
+        if (Array.isArray(raw) && !Array.isArray(slots[0])) warnings.push(`GROUP ${'ABCD'[g]} MISSING`);
+        return Array.from({ length: PATTERN_SLOTS }, (_, s) => (
+            s === 0 || Array.isArray(slots[s]) ? normalizeGroup(slots[s], warnings) : null
+        ));
+    });
+}
+
+function normalizeGroup(group, warnings) {
+    return Array.from({ length: 12 }, (_, p) => normalizePad(Array.isArray(group) ? group[p] : null, p, warnings));
+}
+
+function normalizeSongEntry(raw, patterns) {
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.slots)) return null;
+    const slots = Array.from({ length: 4 }, (_, g) => {
+        const slot = toInt(raw.slots[g], null);
+        return slot !== null && patterns[g][slot] ? slot : null;
+    });
+    const name = typeof raw.name === 'string' ? raw.name.slice(0, 16) : '';
+    return createSongEntry(slots, clamp(toInt(raw.repeats, 1), 1, MAX_REPEATS), name);
+}
+
+function normalizeGrooves(raw) {
+    if (!Array.isArray(raw)) return [];
+    return raw.filter(gr => gr && typeof gr === 'object' && /^user\d+$/.test(gr.id)).slice(0, MAX_USER_GROOVES)
+        .map(gr => ({ id: gr.id, ...normalizeGroove(gr) }));
+}
+
+// A groove the file doesn't carry falls back to plain swing.
+function normalizeStrip(raw, g, grooves, warnings) {
+    const strip = createStrip();
+    if (!raw || typeof raw !== 'object') return strip;
+    const orNull = (v, min, max) => (v === null || v === undefined ? null : clamp(toInt(v, min), min, max));
+    strip.channel = orNull(raw.channel, 0, 15);
+    strip.port = typeof raw.port === 'string' && raw.port ? raw.port : null;
+    strip.mute = raw.mute === true;
+    strip.solo = raw.solo === true;
+    strip.transpose = clamp(toInt(raw.transpose, 0), -24, 24);
+    strip.velScale = clamp(toInt(raw.velScale, 100), 0, 200);
+    strip.swing = orNull(raw.swing, 0, 75);
+    strip.humanize = orNull(raw.humanize, 0, 50);
+    const grooveIds = ['none', ...Object.keys(GROOVES), ...grooves.map(gr => gr.id)];
+    strip.groove = pick(raw.groove, grooveIds, 'none');
+    if (raw.groove !== undefined && strip.groove !== raw.groove) warnings.push(`GROUP ${'ABCD'[g]} GROOVE RESET`);
+    return strip;
+}
+
+function normalizePerform(raw) {
+    const perform = createPerform();
+    if (!raw || typeof raw !== 'object') return perform;
+    const slot = (v) => (v === null || v === undefined ? null : clamp(toInt(v, 0), 0, PATTERN_SLOTS - 1));
+    perform.bSlot = slot(raw.bSlot);
+    perform.fillSlot = slot(raw.fillSlot);
+    return perform;
+}
+
+// Chords go through normalizePad so a scene can't carry settings a pad would reject.
+function normalizeScene(raw, patterns, warnings) {
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.slots)) return null;
+    const at = (arr, i) => (Array.isArray(arr) ? arr[i] : null);
+    return {
+        name: typeof raw.name === 'string' ? raw.name.slice(0, 16) : '',
+        slots: Array.from({ length: 4 }, (_, g) => {
+            const slot = toInt(raw.slots[g], 0);
+            return patterns[g][slot] ? slot : 0;
+        }),
+        pads: Array.from({ length: 4 }, (_, g) => Array.from({ length: 12 }, (_, p) => {
+            const pad = at(at(raw.pads, g), p) || {};
+            const chord = pad.chord && typeof pad.chord === 'object' ? normalizePad({ mode: 'chord', chord: pad.chord }, p, warnings).chord : null;
+            return { muted: pad.muted === true, chord };
+        })),
+        strips: Array.from({ length: 4 }, (_, g) => {
+            const strip = at(raw.strips, g) || {};
+            return { mute: strip.mute === true, solo: strip.solo === true };
+        })
+    };
+}
+
+export function normalizePad(raw, p, warnings) {
+    const pad = createPad(p);
+    if (!raw || typeof raw !== 'object') return pad;
+
+    if (raw.notes !== undefined) {
+        const src = (Array.isArray(raw.notes) ? raw.notes.join('') : String(raw.notes)).replace(/\s/g, '').toUpperCase();
+        if (src.length > 0) {
+            if (src.length < FIXED_STEPS) warnings.push(`PAD ${p} NOTES TILED FROM ${src.length}`);
+            for (let i = 0; i < FIXED_STEPS; i++) {
+                const c = src[i % src.length];
+                pad.notes[i] = STEP_CHARS.includes(c) ? c : 'O';
+            }
+        }
+    }
+    readSteps(raw.nudge, (i, v) => { pad.nudge[i] = clamp(Number(v) || 0, -0.5, 0.5); });
+    readSteps(raw.prob, (i, v) => { pad.prob[i] = clamp(toInt(v, 100), 0, 100); });
+    readSteps(raw.cond, (i, v) => { pad.cond[i] = pick(v, STEP_CONDITIONS, 'none'); });
+    readSteps(raw.ratchet, (i, v) => { pad.ratchet[i] = clamp(toInt(v, 1), 1, MAX_RATCHET); });
+    if (Array.isArray(raw.lanes)) {
+        pad.lanes = raw.lanes.slice(0, MAX_LANES).filter(l => l && typeof l === 'object').map(normalizeLane);
+        if (pad.lanes.length === 0) pad.lanes = [createLane()];
+    }
+
+    pad.steps = clamp(toInt(raw.steps, pad.steps), 1, FIXED_STEPS);
+    pad.rate = pick(String(raw.rate), Object.keys(PAD_RATES), pad.rate);
+    pad.midiNote = clamp(toInt(raw.midiNote, pad.midiNote), 0, 127);
+    pad.gateMs = clamp(toInt(raw.gateMs, pad.gateMs), 10, 2000);
+    pad.velMode = pick(raw.velMode, VEL_MODES, pad.velMode);
+    pad.velA = clamp(toInt(raw.velA, pad.velA), 1, 127);
+    pad.velB = clamp(toInt(raw.velB, pad.velB), 1, 127);
+    pad.muted = raw.muted === true;
+    pad.mode = pick(raw.mode, PAD_MODES, pad.mode);
+
+    const c = raw.chord;
+    if (c && typeof c === 'object') {
+        pad.chord.root = clamp(toInt(c.root, 0), 0, 11);
+        pad.chord.oct = clamp(toInt(c.oct, 3), 1, 6);
+        pad.chord.quality = pick(c.quality, QUALITIES, 'maj');
+        pad.chord.ext = pick(String(c.ext), EXTENSIONS, 'none');
+        pad.chord.inv = clamp(toInt(c.inv, 0), 0, 3);
+        pad.chord.voice = pick(c.voice, VOICINGS, 'close');
+        pad.chord.flux = clamp(toInt(c.flux, 0), 0, 100);
+        pad.chord.prog = Array.isArray(c.prog) ? c.prog.map(d => toInt(d, -1)).filter(d => d >= 0 && d <= 6) : [];
+        pad.chord.advance = pick(c.advance, PROG_ADVANCE, 'bar');
+        pad.chord.lead = c.lead === true;
+        const arp = c.arp && typeof c.arp === 'object' ? c.arp : {};
+        pad.chord.arp = {
+            mode: pick(arp.mode, ARP_MODES, 'off'),
+            rate: pick(arp.rate, Object.keys(ARP_RATES), '1/16'),
+            octaves: clamp(toInt(arp.octaves, 1), 1, 4),
+            gate: clamp(toInt(arp.gate, 50), 5, 100),
+            swing: clamp(toInt(arp.swing, 0), 0, 75),
+            hold: clamp(toInt(arp.hold, 4), 1, FIXED_STEPS)
+        };
+        const strum = c.strum && typeof c.strum === 'object' ? c.strum : {};
+        pad.chord.strum = { dir: pick(strum.dir, STRUM_DIRS, 'up'), ms: clamp(toInt(strum.ms, 5), 0, 200) };
+    } else if (pad.mode === 'chord') {
+        warnings.push(`PAD ${p} CHORD RESET`);
+    }
+    return pad;
+}
+
+function normalizeLane(raw) {
+    const lane = createLane(pick(raw.target, LANE_TARGETS, 'cc'), clamp(toInt(raw.cc, 74), 0, 127));
+    lane.interp = raw.interp === true;
+    readSteps(raw.values, (i, v) => {
+        lane.values[i] = (v === null || v === undefined) ? null : clamp(toInt(v, 0), 0, 127);
+    });
+    return lane;
+}
+
+// Per-step data comes as a full array or as { step: value } for just the steps that differ.
+function readSteps(raw, fn) {
+    if (Array.isArray(raw)) {
+        for (let i = 0; i < FIXED_STEPS; i++) fn(i, raw[i]);
+    } else if (raw && typeof raw === 'object') {
+        Object.entries(raw).forEach(([k, v]) => {
+            const i = toInt(k, -1);
+            if (i >= 0 && i < FIXED_STEPS) fn(i, v);
+        });
+    }
+}
+
+// Held to what the name field accepts; the name is logged, shown and used as a storage key.
+function projectName(v) {
+    const name = typeof v === 'string' ? v.replace(/[\u0000-\u001f]/g, '').trim().toUpperCase().slice(0, 32) : '';
+    return name || 'UNTITLED';
+}
+
+function toInt(v, fallback) {
+    const n = parseInt(v, 10);
+    return Number.isFinite(n) ? n : fallback;
+}
+
+function pick(v, allowed, fallback) {
+    return allowed.includes(v) ? v : fallback;
+}
+
+// --- APPLY ---
+export function applyProject(engine, parsed) {
+    engine.setPatterns(parsed.patterns, parsed.active);
+    engine.song = parsed.song.entries;
+    engine.songMode = parsed.song.mode;
+    engine.loop = parsed.settings.loop;
+    engine.bpm = parsed.settings.bpm;
+    engine.swing = parsed.settings.swing;
+    engine.globalBars = parsed.settings.globalBars;
+    engine.humanize = parsed.settings.humanize;
+    engine.key = parsed.settings.key;
+    engine.scale = parsed.settings.scale;
+    engine.mixer = parsed.mixer;
+    engine.grooves = parsed.grooves;
+    engine.perform = parsed.perform;
+    engine.scenes = parsed.scenes;
+    engine.portOuts.clear();
+}
+
+// --- STORAGE ---
+// Each named project has its own key, so one big project can't push the rest out of storage.
+// A full storage comes back as Error('STORAGE FULL') for the caller to report.
+function store(key, json) {
+    try {
+        localStorage.setItem(key, json);
+    } catch (e) {
+        if (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED') throw new Error('STORAGE FULL');
+        throw e;
+    }
+}
+
+export function autosaveProject(engine, name) {
+    const json = JSON.stringify(serializeProject(engine, name));
+    if (localStorage.getItem(AUTOSAVE_KEY) !== json) store(AUTOSAVE_KEY, json);
+}
+
+export function loadAutosave() {
+    const json = localStorage.getItem(AUTOSAVE_KEY);
+    return json ? parseProject(json) : null;
+}
+
+// Projects saved before per-project keys all sat in one library object under LIBRARY_KEY.
+function splitLegacyLibrary() {
+    const json = localStorage.getItem(LIBRARY_KEY);
+    if (json === null) return;
+    let lib = {};
+    try { lib = JSON.parse(json) || {}; } catch (e) { lib = {}; }
+    Object.entries(lib).forEach(([name, doc]) => store(PROJECT_PREFIX + name, JSON.stringify(doc)));
+    localStorage.removeItem(LIBRARY_KEY);
+}
+
+export function listProjects() {
+    try { splitLegacyLibrary(); } catch (e) { /* left in place; tried again next time */ }
+    const names = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(PROJECT_PREFIX)) names.push(key.slice(PROJECT_PREFIX.length));
+    }
+    return names.sort();
+}
+
+export function saveProjectAs(engine, name) {
+    store(PROJECT_PREFIX + name, JSON.stringify(serializeProject(engine, name)));
+}
+
+export function loadProjectByName(name) {
+    const json = localStorage.getItem(PROJECT_PREFIX + name);
+    return json ? parseProject(json) : null;
+}
+
+export function deleteProject(name) {
+    localStorage.removeItem(PROJECT_PREFIX + name);
+}
@@ -0,0 +1,24 @@
+/* =========================================
+   XOZY-EP SEEDED RANDOM
+   ========================================= */
+
+// Any string or number seeds the same sequence every time (mulberry32).
+export function createRng(seed) {
+    let a = hashSeed(seed);
+    return () => {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function hashSeed(seed) {
+    const str = String(seed);
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
@@ -0,0 +1,80 @@
+/* =========================================
+   XOZY-EP MUSIC THEORY
+   ========================================= */
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+export const SCALES = {
+    major: { name: 'MAJOR', steps: [0, 2, 4, 5, 7, 9, 11] },
+    minor: { name: 'NAT MINOR', steps: [0, 2, 3, 5, 7, 8, 10] },
+    harmonic: { name: 'HARM MINOR', steps: [0, 2, 3, 5, 7, 8, 11] },
+    dorian: { name: 'DORIAN', steps: [0, 2, 3, 5, 7, 9, 10] },
+    phrygian: { name: 'PHRYGIAN', steps: [0, 1, 3, 5, 7, 8, 10] },
+    lydian: { name: 'LYDIAN', steps: [0, 2, 4, 6, 7, 9, 11] },
+    mixolydian: { name: 'MIXOLYDIAN', steps: [0, 2, 4, 5, 7, 9, 10] }
+};
+
+const ROMANS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+// --- DIATONIC CHORDS ---
+// Stacks thirds inside the scale; a major triad whose diatonic 7th is flat becomes 'dom'
+// so V7 in a major key sounds like one once an extension is switched on.
+export function diatonicChord(key, scaleId, degree, ext = 'none') {
+    const steps = (SCALES[scaleId] || SCALES.major).steps;
+    const d = ((degree % 7) + 7) % 7;
+    const interval = (n) => (steps[(d + n) % 7] - steps[d] + 12) % 12;
+    const third = interval(2), fifth = interval(4), seventh = interval(6);
+
+    let quality = 'maj';
+    if (third === 3 && fifth === 6) quality = 'dim';
+    else if (third === 4 && fifth === 8) quality = 'aug';
+    else if (third === 3) quality = 'min';
+    else if (ext !== 'none' && seventh === 10) quality = 'dom';
+    return { root: (key + steps[d]) % 12, quality };
+}
+
+// --- PROGRESSIONS ---
+// Accepts roman numerals or 1-7 separated by spaces, dashes or commas: "I vi IV V", "1-6-4-5".
+// Case is ignored; the scale decides each chord's quality. Returns 0-based degrees.
+export function parseProgression(text) {
+    return String(text).split(/[\s,\-–]+/).filter(Boolean).map(token => {
+        const t = token.toUpperCase();
+        if (/^[1-7]$/.test(t)) return Number(t) - 1;
+        const roman = /^[IV]+/.exec(t);
+        return roman ? ROMANS.indexOf(roman[0]) : -1;
+    }).filter(d => d >= 0);
+}
+
+export function formatProgression(degrees, key, scaleId) {
+    return degrees.map(d => {
+        const { quality } = diatonicChord(key, scaleId, d);
+        const numeral = ROMANS[d];
+        if (quality === 'min') return numeral.toLowerCase();
+        if (quality === 'dim') return `${numeral.toLowerCase()}°`;
+        if (quality === 'aug') return `${numeral}+`;
+        return numeral;
+    }).join('-');
+}
+
+// --- NAMING ---
+const QUALITY_SUFFIX = { maj: '', min: 'm', dom: '', dim: 'dim', aug: 'aug', sus2: 'sus2', sus4: 'sus4' };
+
+export function chordName(root, quality, ext = 'none') {
+    let suffix = QUALITY_SUFFIX[quality] ?? '';
+    if (ext !== 'none') {
+        if (quality === 'maj' && ext !== '6') suffix = `maj${ext}`;
+        else if (quality === 'sus2' || quality === 'sus4') suffix = `${ext}${suffix}`;
+        else suffix = `${suffix}${ext}`;
+    }
+    return NOTE_NAMES[((root % 12) + 12) % 12] + suffix;
+}
+
+// --- VOICE LEADING ---
+// Picks the candidate voicing whose notes sit closest to the previous chord, counted
+// both ways so dropped and added voices cost as much as moved ones.
+export function voiceLead(prev, candidates) {
+    if (!prev || prev.length === 0) return candidates[0];
+    const nearest = (n, notes) => Math.min(...notes.map(m => Math.abs(n - m)));
+    const cost = (notes) => notes.reduce((s, n) => s + nearest(n, prev), 0) + prev.reduce((s, p) => s + nearest(p, notes), 0);
+    return candidates.reduce((best, c) => (cost(c) < cost(best) ? c : best));
+}
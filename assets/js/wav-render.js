@@ -0,0 +1,94 @@
+/* =========================================
+   XOZY-EP OFFLINE WAV RENDER
+   ========================================= */
+
+import { renderSequence, renderBars } from './midi-file.js';
+import { AudioOutput } from './audio-engine.js';
+
+export const BIT_DEPTHS = [16, 24];
+const TAIL_SECONDS = 2;
+const GROUP_NAMES = ['A', 'B', 'C', 'D'];
+
+// --- RENDER ---
+// The same event list the MIDI export writes is played into an OfflineAudioContext through
+// the preview synth. renderSequence puts group A-D on channels 0-3, so the channel is the group.
+function resolver(engine) {
+    return (chan, note) => {
+        for (const group of engine.banks[chan] || []) {
+            const p = group ? group.findIndex(pad => pad.mode === 'drum' && pad.midiNote === note) : -1;
+            if (p >= 0) return p;
+        }
+        return -1;
+    };
+}
+
+async function renderEvents(engine, events, seconds, sampleRate) {
+    const Ctx = globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext;
+    if (!Ctx) throw new Error('OFFLINE AUDIO UNSUPPORTED');
+    const ctx = new Ctx(2, Math.ceil((seconds + TAIL_SECONDS) * sampleRate), sampleRate);
+    const out = new AudioOutput({ ctx, resolve: resolver(engine) });
+    events.forEach(ev => out.send(ev.data, ev.ms));
+    return ctx.startRendering();
+}
+
+// Resolves to [{ name, buffer }]: one full mix, or one stem per group that has any events.
+export async function renderAudio(engine, { bars = renderBars(engine), seed = null, stems = false, sampleRate = 44100 } = {}) {
+    const events = renderSequence(engine, { bars, seed });
+    const seconds = bars * 4 * (60 / engine.bpm);
+    if (!stems) return [{ name: 'MIX', buffer: await renderEvents(engine, events, seconds, sampleRate) }];
+
+    const renders = [];
+    for (let g = 0; g < GROUP_NAMES.length; g++) {
+        const own = events.filter(ev => (ev.data[0] & 0x0F) === g);
+        if (!own.some(ev => (ev.data[0] & 0xF0) === 0x90)) continue;
+        renders.push({ name: `GROUP-${GROUP_NAMES[g]}`, buffer: await renderEvents(engine, own, seconds, sampleRate) });
+    }
+    return renders;
+}
+
+// --- WAV ---
+export function encodeWav(buffer, { bitDepth = 16 } = {}) {
+    const channels = buffer.numberOfChannels;
+    const bytesPerSample = bitDepth / 8;
+    const frames = buffer.length;
+    const dataSize = frames * channels * bytesPerSample;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+    const writeStr = (pos, str) => { for (let i = 0; i < str.length; i++) view.setUint8(pos + i, str.charCodeAt(i)); };
+
+    writeStr(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeStr(8, 'WAVE');
+    writeStr(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, channels, true);
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * channels * bytesPerSample, true);
+    view.setUint16(32, channels * bytesPerSample, true);
+    view.setUint16(34, bitDepth, true);
+    writeStr(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const data = Array.from({ length: channels }, (_, c) => buffer.getChannelData(c));
+    const max = Math.pow(2, bitDepth - 1) - 1;
+    let pos = 44;
+    for (let i = 0; i < frames; i++) {
+        for (let c = 0; c < channels; c++) {
+            const s = Math.round(Math.max(-1, Math.min(1, data[c][i])) * max);
+            if (bitDepth === 24) {
+                view.setUint8(pos, s & 0xFF);
+                view.setUint8(pos + 1, (s >> 8) & 0xFF);
+                view.setUint8(pos + 2, (s >> 16) & 0xFF);
+            } else {
+                view.setInt16(pos, s, true);
+            }
+            pos += bytesPerSample;
+        }
+    }
+    return new Uint8Array(view.buffer);
+}
+
+export async function exportWav(engine, { bitDepth = 16, stems = false, seed = null } = {}) {
+    const renders = await renderAudio(engine, { stems, seed });
+    return renders.map(({ name, buffer }) => ({ name, bytes: encodeWav(buffer, { bitDepth }) }));
+}
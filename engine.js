@@ -2,11 +2,59 @@
    XOZY-EP ENGINE v2.0
    ========================================= */
 
+import { BrowserClock } from './assets/js/clock.js';
+import { DEVICE_PROFILES, DEFAULT_PROFILE, detectProfile } from './assets/js/device-profiles.js';
+import { diatonicChord, chordName, voiceLead } from './assets/js/theory.js';
+import { AudioOutput } from './assets/js/audio-engine.js';
+import { SplitOutput } from './assets/js/midi-output.js';
+import { GROOVES, MAX_USER_GROOVES } from './assets/js/grooves.js';
+
 export const FIXED_STEPS = 64;
-const PAD_NOTES = [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47];
+
+export const STEP_VELOCITY = { X: 120, Y: 85, Z: 50 };
+
+export const RECORD_MODES = ['overdub', 'replace'];
+export const OUTPUT_MODES = ['midi', 'internal', 'both'];
+export const LANE_TARGETS = ['cc', 'pitchbend', 'program'];
+export const MAX_LANES = 4;
+const LANE_SUBDIV = 4;
+// Pad clock dividers as multiples of the 16th grid: 3/4 is 8th triplets, 3/2 is 16th triplets.
+export const PAD_RATES = { '1/4': 0.25, '1/2': 0.5, '3/4': 0.75, '1': 1, '3/2': 1.5, '2': 2 };
+const RATE_EPSILON = 1e-9;
+// A:B plays on the A-th of every B cycles of the pad; fill/first follow the fill switch and first cycle.
+export const STEP_CONDITIONS = ['none', '1:2', '2:2', '1:3', '2:3', '3:3', '1:4', '2:4', '3:4', '4:4', 'fill', '!fill', 'first', '!first'];
+export const MAX_RATCHET = 4;
+export const PATTERN_SLOTS = 8;
+export const MAX_REPEATS = 16;
+export const MAX_SCENES = 8;
+export const PROG_ADVANCE = ['bar', 'hit'];
+export const ARP_MODES = ['off', 'up', 'down', 'updown', 'random', 'played'];
+// Arp note lengths in 16ths.
+export const ARP_RATES = { '1/4': 4, '1/8': 2, '1/8T': 4 / 3, '1/16': 1, '1/16T': 2 / 3, '1/32': 0.5 };
+export const STRUM_DIRS = ['up', 'down', 'none'];
+const RATCHET_DECAY = 0.15;
+const HUMANIZE_MS = 15;
+// Sent on stop and panic: all sound off, reset all controllers, all notes off.
+const RELEASE_CCS = [120, 121, 123];
 
 export function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
 
+function conditionMet(cond, cycle, fill) {
+    if (cond === 'fill') return fill;
+    if (cond === '!fill') return !fill;
+    if (cond === 'first') return cycle === 0;
+    if (cond === '!first') return cycle !== 0;
+    const m = /^(\d):(\d)$/.exec(cond);
+    return m ? cycle % Number(m[2]) === Number(m[1]) - 1 : true;
+}
+
+// Nearest X/Y/Z for an incoming velocity, the inverse of computeVelocity's xyz mode.
+export function stepForVelocity(vel) {
+    if (vel >= (STEP_VELOCITY.X + STEP_VELOCITY.Y) / 2) return 'X';
+    if (vel >= (STEP_VELOCITY.Y + STEP_VELOCITY.Z) / 2) return 'Y';
+    return 'Z';
+}
+
 // --- CHORD MATH ---
 function getChordIntervals(quality, ext) {
     let intervals = [0];
@@ -51,43 +99,161 @@ function applyInversion(intervals, inv) {
     return newInt;
 }
 
+// --- AUTOMATION LANES ---
+// values[] holds 0-127 or null (nothing sent), so a zero can be sequenced like any other value.
+export function createLane(target = 'cc', cc = 74) {
+    return { target, cc, interp: false, values: Array(FIXED_STEPS).fill(null) };
+}
+
+// With interp on, empty steps between two points take the straight line between them.
+export function laneValueAt(lane, step, length = FIXED_STEPS) {
+    const v = lane.values[step];
+    if (v !== null || !lane.interp) return v;
+    let prev = step - 1;
+    while (prev >= 0 && lane.values[prev] === null) prev--;
+    let next = step + 1;
+    while (next < length && lane.values[next] === null) next++;
+    if (prev < 0 || next >= length) return null;
+    const a = lane.values[prev], b = lane.values[next];
+    return Math.round(a + (b - a) * (step - prev) / (next - prev));
+}
+
+// --- MIXER ---
+// One strip per group. null channel/swing/humanize follow the device profile and the global
+// settings; port is an output id, null for the main output. Transpose moves chord pads only,
+// so drum pads stay on their sounds.
+export function createStrip() {
+    return { channel: null, port: null, mute: false, solo: false, transpose: 0, velScale: 100, swing: null, humanize: null, groove: 'none' };
+}
+
+// --- PROJECT DATA ---
+export function createPad(p, padNotes = DEVICE_PROFILES[DEFAULT_PROFILE].padNotes) {
+    return {
+        steps: FIXED_STEPS,
+        rate: '1',
+        notes: Array(FIXED_STEPS).fill('O'),
+        nudge: Array(FIXED_STEPS).fill(0),
+        prob: Array(FIXED_STEPS).fill(100),
+        cond: Array(FIXED_STEPS).fill('none'),
+        ratchet: Array(FIXED_STEPS).fill(1),
+        lanes: [createLane()],
+        midiNote: padNotes[p] ?? 36,
+        gateMs: 100,
+        velMode: 'xyz',
+        velA: 110,
+        velB: 125,
+        muted: false,
+        mode: 'drum',
+        // prog: scale degrees (0-6) stepped through per bar or per hit; lead: voice-lead instead of inv/flux.
+        // arp.hold is how many 16ths an arpeggiated hit keeps running; strum.ms spaces block-chord notes.
+        chord: {
+            root: 0, oct: 3, quality: 'maj', ext: 'none', inv: 0, voice: 'close', flux: 0,
+            prog: [], advance: 'bar', lead: false,
+            arp: { mode: 'off', rate: '1/16', octaves: 1, gate: 50, swing: 0, hold: 4 },
+            strum: { dir: 'up', ms: 5 }
+        }
+    };
+}
+
+export function createGroup(padNotes) {
+    return Array.from({ length: 12 }, (_, p) => createPad(p, padNotes));
+}
+
+export function createProjectData() {
+    return Array.from({ length: 4 }, () => createGroup());
+}
+
+// Song entries pick a slot per group (null keeps whatever is playing) for `repeats` passes of globalBars.
+export function createSongEntry(slots = [0, 0, 0, 0], repeats = 1, name = '') {
+    return { name, slots: [...slots], repeats };
+}
+
+// --- PERFORMANCE ---
+// Per group: the slot the B variation plays (null = the slot after A) and the slot a fill
+// plays for its bar (null = stay on the pattern and just switch its 'fill' steps on).
+export function createPerform() {
+    return { bSlot: null, fillSlot: null };
+}
+
 // --- ENGINE CLASS ---
+// clock and output are injectable so the engine can run headless (Node, tests, offline renders).
 export class SequencerEngine {
-    constructor() {
-        this.audioCtx = null;
-        this.midiOut = null;
+    constructor({ clock = null, output = null } = {}) {
+        this.clock = clock || new BrowserClock();
+        this.midiOut = output;
+        this.midiPort = null;
+        this.synth = null;
+        this.outputMode = 'midi';
+        this.midiAccess = null;
+        this.midiIn = null;
+        this.profileId = DEFAULT_PROFILE;
+        this.profile = DEVICE_PROFILES[DEFAULT_PROFILE];
+        this.syncMode = 'internal';
+        this.ext = { running: false, pulses: 0, position: 0, lastPulse: null, intervals: [] };
         this.isPlaying = false;
         this.nextNoteTime = 0.0;
         this.current16thNote = 0;
         this.timerID = null;
         this.scheduleAheadTime = 0.1;
+        this.tickInterval = 25;
+        this.timing = { lastTick: null, maxJitterMs: 0, late: 0, maxLateMs: 0 };
+        this.onTiming = null;
         this.bpm = 120;
         this.swing = 0;
         this.humanize = false;
+        this.key = 0;
+        this.scale = 'major';
+        this.progHits = new WeakMap();
+        this.lastVoicing = new WeakMap();
+        this.onChord = null;
         this.sendTransport = true;
         this.suppressTransport = false;
         this.globalBars = 4;
         this.countIn = false;
+        this.fill = false;
+        this.loopCount = 0;
+        this.record = { armed: false, mode: 'overdub', strength: 100, touched: new Set(), pending: new Set() };
+        this.stepTimeline = [];
         this.onStepTrigger = null;
         this.onClockTick = null;
         this.onLog = null;
+        this.onMidiInput = null;
+        this.onBpmChange = null;
+        this.onPortsChanged = null;
+        this.random = Math.random;
+        // Notes as { out, chan, note, vel, on, off } (MIDI ms). pendingNotes haven't reached the
+        // output yet; sounding[out] were sent and may not have had their note-off.
+        this.pendingNotes = [];
+        this.sounding = new Map();
+        this.holdNotes = true;
+        this.flushTimer = null;
+        this.timers = new Set();
+
+        // banks[g][slot] holds each group's pattern slots (null = never used); projectData[g] is the playing one.
+        this.projectData = createProjectData();
+        this.banks = this.projectData.map(group => [group, ...Array(PATTERN_SLOTS - 1).fill(null)]);
+        this.active = [0, 0, 0, 0];
+        this.queued = [null, null, null, null];
+        this.song = [];
+        this.songMode = false;
+        this.songPos = { index: 0, repeat: 0 };
+        this.loop = false;
+        this.onPatternChange = null;
+        this.onSongPosition = null;
 
-        this.projectData = Array.from({ length: 4 }, () =>
-            Array.from({ length: 12 }, (_, p) => ({
-                steps: FIXED_STEPS,
-                notes: Array(FIXED_STEPS).fill('O'),
-                auto: Array(FIXED_STEPS).fill(0),
-                autoTargetCC: 74,
-                midiNote: PAD_NOTES[p] ?? 36,
-                gateMs: 100,
-                velMode: 'xyz',
-                velA: 110,
-                velB: 125,
-                muted: false,
-                mode: 'drum',
-                chord: { root: 0, oct: 3, quality: 'maj', ext: 'none', inv: 0, voice: 'close', flux: 0 }
-            }))
-        );
+        this.perform = [0, 1, 2, 3].map(() => createPerform());
+        this.scenes = [];
+        // Live state: variation[g] is 'A' or 'B' with home[g] the A slot to go back to;
+        // fills[g] is null, { back: null } while waiting for the bar, or { back: slot } while playing.
+        this.variation = ['A', 'A', 'A', 'A'];
+        this.home = [0, 0, 0, 0];
+        this.fills = [null, null, null, null];
+        this.sceneQueued = null;
+
+        this.mixer = [0, 1, 2, 3].map(() => createStrip());
+        // User grooves ({ id, name, timing, velocity }), e.g. extracted from MIDI files.
+        this.grooves = [];
+        this.portOuts = new Map();
     }
 
     log(msg) {
@@ -95,35 +261,126 @@ export class SequencerEngine {
         else console.log(msg);
     }
 
+    get audioCtx() {
+        return this.clock.audioCtx || null;
+    }
+
+    midiTime(time) {
+        return this.clock.toTimestamp(time);
+    }
+
+    setTiming({ lookaheadMs = this.scheduleAheadTime * 1000, intervalMs = this.tickInterval } = {}) {
+        this.scheduleAheadTime = clamp(lookaheadMs, 20, 1000) / 1000;
+        this.tickInterval = clamp(intervalMs, 5, 200);
+        this.clock.setTickInterval(this.tickInterval);
+        if (this.scheduleAheadTime * 1000 <= this.tickInterval) this.log("WARN: LOOKAHEAD <= INTERVAL");
+    }
+
+    setOutput(output) {
+        this.midiOut = output;
+        if (output) this.log(`LINKED: ${(output.name || 'UNKNOWN')}`);
+    }
+
+    // --- OUTPUT ROUTING ---
+    // midiOut is whatever the scheduler sends to: the MIDI port, the internal synth, or both.
+    routeOutputs() {
+        const port = this.outputMode !== 'internal' ? this.midiPort : null;
+        const synth = this.outputMode !== 'midi' ? this.synth : null;
+        this.midiOut = port && synth ? new SplitOutput([port, synth]) : (port || synth);
+        this.portOuts.clear();
+    }
+
+    // A group with its own port sends there (plus the synth in 'both'); otherwise to midiOut.
+    outputFor(g) {
+        const id = this.mixer[g].port;
+        const port = id && this.outputMode !== 'internal' && this.midiAccess ? this.midiAccess.outputs.get(id) : null;
+        if (!port) return this.midiOut;
+        if (this.outputMode !== 'both' || !this.synth) return port;
+        if (!this.portOuts.has(id)) this.portOuts.set(id, new SplitOutput([port, this.synth]));
+        return this.portOuts.get(id);
+    }
+
+    // Every distinct output/channel pair the groups play on.
+    groupOutputs() {
+        const pairs = [];
+        [0, 1, 2, 3].forEach(g => {
+            const out = this.outputFor(g);
+            const chan = this.channelFor(g);
+            if (out && !pairs.some(x => x.out === out && x.chan === chan)) pairs.push({ out, chan });
+        });
+        return pairs;
+    }
+
+    setOutputMode(mode) {
+        this.outputMode = OUTPUT_MODES.includes(mode) ? mode : 'midi';
+        if (this.isPlaying) this.stop();
+        this.routeOutputs();
+        this.log(`OUTPUT: ${this.midiOut ? this.midiOut.name : 'NONE'}`);
+    }
+
+    // The synth plays a note as a drum voice when a drum pad on that channel owns it.
+    voiceFor(chan, note) {
+        for (let g = 0; g < 4; g++) {
+            if (this.channelFor(g) !== chan) continue;
+            const p = this.projectData[g].findIndex(pad => pad.mode === 'drum' && pad.midiNote === note);
+            if (p >= 0) return p;
+        }
+        return -1;
+    }
+
+    // --- DEVICE PROFILES ---
+    channelFor(g) {
+        return this.mixer[g].channel ?? this.profile.groupChannels[g] ?? g;
+    }
+
+    // Pads still sitting on the old profile's default note follow the new map; edited notes stay.
+    setProfile(id) {
+        const next = DEVICE_PROFILES[id];
+        if (!next) return this.log(`ERR: UNKNOWN PROFILE ${id}`);
+        const prev = this.profile;
+        // Every slot, not just the playing ones, so switching patterns later doesn't bring back the old notes.
+        this.banks.forEach(slots => slots.forEach(group => group && group.forEach((pad, p) => {
+            if (pad.midiNote === prev.padNotes[p]) pad.midiNote = next.padNotes[p];
+        })));
+        this.profileId = id;
+        this.profile = next;
+        this.log(`PROFILE: ${next.name}`);
+    }
+
     async init() {
         try {
-            if (!this.audioCtx) this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-            if (this.audioCtx.state === 'suspended') await this.audioCtx.resume();
-            if (!navigator.requestMIDIAccess) {
+            await this.clock.resume();
+            if (!this.synth && this.audioCtx) {
+                this.synth = new AudioOutput({ ctx: this.audioCtx, clock: this.clock, resolve: (chan, note) => this.voiceFor(chan, note) });
+            }
+            if (this.midiOut) {
+                this.log(`LINKED: ${(this.midiOut.name || 'UNKNOWN')}`);
+                return true;
+            }
+            if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
                 this.log("ERR: WEBMIDI UNSUPPORTED");
-                return false;
+                return this.fallbackToSynth();
             }
             const m = await navigator.requestMIDIAccess({ sysex: false });
+            this.midiAccess = m;
+            m.onstatechange = (e) => this.handlePortChange(e.port);
             const outs = Array.from(m.outputs.values());
             if (outs.length === 0) {
                 this.log("ERR: NO MIDI OUTPUTS");
-                return false;
+                return this.fallbackToSynth();
             }
-            const preferred = outs.find(o => {
-                const n = (o.name || '').toLowerCase();
-                return n.includes('ep-') || n.includes('teenage') || n.includes('op-') || n.includes('133');
-            });
-            this.midiOut = preferred || outs[0];
-            this.log(`LINKED: ${(this.midiOut.name || 'UNKNOWN')}`);
+            const preferred = outs.find(o => detectProfile(o.name));
+            this.selectOutput((preferred || outs[0]).id);
             return true;
         } catch (e) {
+            // Most often MIDI access was refused; the internal synth still works.
             this.log(`ERR: ${e.message}`);
-            return false;
+            return this.fallbackToSynth();
         }
     }
 
     handleInject() {
-        if (!this.midiOut || !this.audioCtx) return this.log("ERR: INIT MIDI");
+        if (!this.midiOut || !this.clock.ready) return this.log("ERR: INIT MIDI");
         this.suppressTransport = true;
         if (this.countIn) this.runCountIn();
         else this.start();
@@ -132,49 +389,453 @@ export class SequencerEngine {
     runCountIn() {
         let b = 4;
         this.log(`COUNT: ${b}...`);
-        const interval = setInterval(() => {
+        const beat = () => {
             b--;
-            if (b > 0) this.log(`COUNT: ${b}...`);
-            else {
-                clearInterval(interval);
+            if (b > 0) {
+                this.log(`COUNT: ${b}...`);
+                this.later(beat, 60000 / this.bpm);
+            } else {
                 this.log("GO!");
                 this.start();
             }
-        }, 60000 / this.bpm);
+        };
+        this.later(beat, 60000 / this.bpm);
     }
 
     start() {
-        this.stop();
+        if (this.syncMode === 'external') return this.log("EXT SYNC: WAITING FOR MASTER START");
+        this.stop({ resetControllers: false });
         this.isPlaying = true;
         this.current16thNote = 0;
-        this.nextNoteTime = this.audioCtx.currentTime + 0.1;
+        this.loopCount = 0;
+        this.progHits = new WeakMap();
+        this.lastVoicing = new WeakMap();
+        this.queued.fill(null);
+        this.sceneQueued = null;
+        if (this.songMode && this.song.length > 0) this.enterSongEntry(0);
+        this.stepTimeline = [];
+        this.record.touched.clear();
+        this.record.pending.clear();
+        this.nextNoteTime = this.clock.currentTime + 0.1;
+        this.timing = { lastTick: null, maxJitterMs: 0, late: 0, maxLateMs: 0 };
+        this.clock.setTickInterval(this.tickInterval);
         if (this.midiOut && this.sendTransport && !this.suppressTransport) this.midiOut.send([0xFA]);
         this.log("ROLLING...");
         this.scheduler();
     }
 
-    stop() {
+    // Returns the notes that were cut off (see releaseAll).
+    stop({ allChannels = false, resetControllers = true } = {}) {
+        this.halt();
+        const released = this.releaseAll({ allChannels, resetControllers });
+        this.sendStop();
+        this.log("HALTED");
+        return released;
+    }
+
+    // A run that reaches its end stops scheduling but lets the notes it already queued play
+    // out; the usual release follows once the last of them has ended. A stop or a new start
+    // in the meantime cancels that release and does its own.
+    finish(endTime = this.nextNoteTime) {
+        this.halt();
+        this.flushNotes(Infinity);
+        const end = this.midiTime(endTime);
+        let last = end;
+        this.sounding.forEach(notes => notes.forEach(n => { last = Math.max(last, n.off); }));
+        this.later(() => this.releaseAll(), last - this.clock.now());
+        this.sendStop(end);
+    }
+
+    halt() {
         this.isPlaying = false;
-        if (this.timerID) cancelAnimationFrame(this.timerID);
-        if (this.midiOut) {
-            if (this.sendTransport && !this.suppressTransport) this.midiOut.send([0xFC]);
-            for (let ch = 0; ch < 4; ch++) this.midiOut.send([0xB0 + ch, 123, 0]);
-        }
+        this.ext.running = false;
+        if (this.timerID) this.clock.cancelTick(this.timerID);
+        this.timerID = null;
+        this.clock.stopTicks();
+        this.endFills();
+        this.fills.fill(null);
+    }
+
+    sendStop(time) {
+        if (this.midiOut && this.sendTransport && !this.suppressTransport && this.syncMode === 'internal') this.midiOut.send([0xFC], time);
         this.suppressTransport = false;
-        this.log("HALTED");
+    }
+
+    // Stop that resets all 16 channels of every output, not just the ones in use: clears
+    // hangs left by another app or by a channel change mid-note.
+    panic() {
+        const released = this.stop({ allChannels: true });
+        const byChannel = new Map();
+        released.forEach(({ out, chan, note }) => {
+            const where = `${out.name || 'OUT'} CH${chan + 1}`;
+            byChannel.set(where, [...(byChannel.get(where) || []), note]);
+        });
+        byChannel.forEach((notes, where) => this.log(`RELEASED ${where}: ${notes.join(' ')}`));
+        this.log(`PANIC: ${released.length} NOTES RELEASED, ALL CHANNELS RESET`);
+        return released;
     }
 
     scheduler() {
-        while (this.nextNoteTime < this.audioCtx.currentTime + this.scheduleAheadTime) {
-            if (this.current16thNote >= this.globalBars * 16) {
-                this.stop();
+        this.measureTick();
+        while (this.nextNoteTime < this.clock.currentTime + this.scheduleAheadTime) {
+            if (this.current16thNote >= this.globalBars * 16 && !this.nextPass()) {
+                this.reportTiming();
+                this.finish();
                 this.log("COMPLETE");
                 return;
             }
+            const lateMs = (this.clock.currentTime - this.nextNoteTime) * 1000;
+            if (lateMs > 0) {
+                this.timing.late++;
+                this.timing.maxLateMs = Math.max(this.timing.maxLateMs, lateMs);
+            }
+            if (this.current16thNote > 0 && this.current16thNote % 16 === 0) this.reportTiming();
+            if (this.current16thNote % 16 === 0) this.applyQueued();
             this.scheduleNote(this.current16thNote, this.nextNoteTime);
             this.advanceNote();
         }
-        if (this.isPlaying) this.timerID = requestAnimationFrame(() => this.scheduler());
+        if (this.isPlaying) this.timerID = this.clock.requestTick(() => this.scheduler());
+    }
+
+    // --- NOTE QUEUE & TRACKING ---
+    // Every note goes out through here. Arps and ratchets are scheduled whole when their step
+    // plays, so notes further ahead than the flush horizon wait in the engine, where stop can
+    // still drop them, instead of in the output. Offline renders turn holdNotes off.
+    sendNote(out, chan, note, vel, time, offTime) {
+        this.pendingNotes.push({ out, chan, note, vel, on: time, off: offTime });
+        this.flushNotes(this.holdNotes ? this.flushHorizon() : Infinity);
+    }
+
+    // Far enough ahead to cover the gap until the next 16th is scheduled.
+    flushHorizon() {
+        return this.clock.now() + this.scheduleAheadTime * 1000 + 60000 / this.bpm / 4;
+    }
+
+    flushNotes(until = this.flushHorizon()) {
+        const now = this.clock.now();
+        const waiting = [];
+        this.pendingNotes.forEach(n => {
+            if (n.on > until) return waiting.push(n);
+            n.out.send([0x90 + n.chan, n.note, n.vel], n.on);
+            n.out.send([0x80 + n.chan, n.note, 0], n.off);
+            const sent = (this.sounding.get(n.out) || []).filter(s => s.off > now);
+            sent.push(n);
+            this.sounding.set(n.out, sent);
+        });
+        this.pendingNotes = waiting;
+        // With the transport stopped (a live arp) nothing else calls back, so poll.
+        if (waiting.length && !this.flushTimer) {
+            this.later(() => { this.flushTimer = null; this.flushNotes(); }, this.scheduleAheadTime * 500);
+            this.flushTimer = true;
+        }
+    }
+
+    // UI callbacks timed to the audio; stop cancels the ones still waiting.
+    later(cb, ms) {
+        const id = this.clock.setTimer(() => { this.timers.delete(id); cb(); }, ms);
+        this.timers.add(id);
+    }
+
+    // Drops the engine's pending notes and whatever the outputs still have queued (where they
+    // can), sends a note-off for each sent note, then CC 120/123 and, unless told not to, 121.
+    // Outputs that can't drop their queue get each note-off at its note-on's own time, so a
+    // note already handed over ends as soon as it starts.
+    // Returns the notes that were released, as { out, chan, note }.
+    releaseAll({ allChannels = false, resetControllers = true } = {}) {
+        this.timers.forEach(id => this.clock.clearTimer(id));
+        this.timers.clear();
+        this.flushTimer = null;
+        this.pendingNotes = [];
+        const now = this.clock.now();
+        const channels = new Map();
+        const addChannel = (out, chan) => {
+            if (!channels.has(out)) channels.set(out, new Set());
+            channels.get(out).add(chan);
+        };
+        this.groupOutputs().forEach(({ out, chan }) => addChannel(out, chan));
+        this.sounding.forEach((notes, out) => notes.forEach(n => addChannel(out, n.chan)));
+        const ccs = resetControllers ? RELEASE_CCS : RELEASE_CCS.filter(cc => cc !== 121);
+
+        const released = [];
+        channels.forEach((chans, out) => {
+            const cleared = typeof out.clear === 'function';
+            if (cleared) out.clear();
+            const seen = new Set();
+            (this.sounding.get(out) || []).forEach(n => {
+                if (n.off <= now) return;
+                out.send([0x80 + n.chan, n.note, 0], cleared ? now : Math.max(now, n.on));
+                const key = n.chan * 128 + n.note;
+                if (!seen.has(key)) released.push({ out, chan: n.chan, note: n.note });
+                seen.add(key);
+            });
+            const all = allChannels ? Array.from({ length: 16 }, (_, c) => c) : [...chans];
+            all.forEach(chan => ccs.forEach(cc => out.send([0xB0 + chan, cc, 0], now)));
+        });
+        this.sounding.clear();
+        return released;
+    }
+
+    // --- PATTERNS & SONG ---
+    setPatterns(banks, active = [0, 0, 0, 0]) {
+        this.banks = banks;
+        this.active = [...active];
+        this.queued = [null, null, null, null];
+        this.projectData = banks.map((slots, g) => slots[this.active[g]]);
+        this.variation = ['A', 'A', 'A', 'A'];
+        this.home = [...this.active];
+        this.fills = [null, null, null, null];
+        this.sceneQueued = null;
+    }
+
+    selectSlot(g, slot) {
+        if (!this.banks[g][slot]) this.banks[g][slot] = createGroup(this.profile.padNotes);
+        this.active[g] = slot;
+        this.queued[g] = null;
+        this.projectData[g] = this.banks[g][slot];
+        if (this.onPatternChange) this.onPatternChange(g);
+    }
+
+    // While playing, a switch waits for the next bar line so the groove isn't cut mid-bar.
+    queueSlot(g, slot) {
+        if (!this.isPlaying || slot === this.active[g]) return this.selectSlot(g, slot);
+        this.queued[g] = slot;
+        this.log(`QUEUED ${'ABCD'[g]}${slot + 1}`);
+        if (this.onPatternChange) this.onPatternChange(g);
+    }
+
+    // Runs on every bar line: fills that played their bar hand back first, so a slot queued
+    // during the fill still wins, then waiting fills start and a queued scene lands last.
+    applyQueued() {
+        this.endFills();
+        this.queued.forEach((slot, g) => { if (slot !== null) this.selectSlot(g, slot); });
+        this.fills.forEach((fill, g) => { if (fill) this.startFill(g); });
+        if (this.sceneQueued !== null) {
+            const scene = this.scenes[this.sceneQueued];
+            this.sceneQueued = null;
+            if (scene) this.applyScene(scene);
+        }
+    }
+
+    copySlot(g, from, to) {
+        if (!this.banks[g][from] || from === to) return;
+        this.banks[g][to] = JSON.parse(JSON.stringify(this.banks[g][from]));
+        if (this.active[g] === to) this.projectData[g] = this.banks[g][to];
+    }
+
+    enterSongEntry(index) {
+        this.songPos = { index, repeat: 0 };
+        this.loopCount = 0;
+        // The arrangement takes over from any fill or variation.
+        this.fills.forEach((fill, g) => { if (fill && fill.back !== null) this.fills[g] = null; });
+        this.variation.fill('A');
+        this.song[index].slots.forEach((slot, g) => { if (slot !== null) this.selectSlot(g, slot); });
+        if (this.onSongPosition) this.onSongPosition(this.songPos);
+    }
+
+    // End of one pass over globalBars: repeat, move on through the song, loop, or report done.
+    nextPass() {
+        const looping = this.loop || this.record.armed;
+        if (this.songMode && this.song.length > 0) {
+            const entry = this.song[this.songPos.index];
+            if (entry && ++this.songPos.repeat < entry.repeats) {
+                this.loopCount++;
+                if (this.onSongPosition) this.onSongPosition(this.songPos);
+            } else if (this.songPos.index + 1 < this.song.length) {
+                this.enterSongEntry(this.songPos.index + 1);
+            } else if (looping) {
+                this.enterSongEntry(0);
+            } else {
+                return false;
+            }
+        } else if (looping) {
+            this.loopCount++;
+        } else {
+            return false;
+        }
+        this.current16thNote = 0;
+        return true;
+    }
+
+    // Removing the row that is playing lets the current pass finish, then the row that took its
+    // place plays next: songPos is parked on the row before it with its repeats used up.
+    removeSongEntry(index) {
+        if (!this.song[index]) return;
+        this.song.splice(index, 1);
+        const pos = this.songPos;
+        if (index < pos.index) {
+            pos.index--;
+        } else if (index === pos.index) {
+            pos.index = index - 1;
+            pos.repeat = pos.index >= 0 ? this.song[pos.index].repeats : 0;
+        }
+        if (this.onSongPosition) this.onSongPosition(pos);
+    }
+
+    songBars() {
+        return this.song.reduce((n, entry) => n + entry.repeats, 0) * this.globalBars;
+    }
+
+    // --- VARIATIONS, FILLS & SCENES ---
+    bSlotFor(g) {
+        return this.perform[g].bSlot ?? (this.home[g] + 1) % PATTERN_SLOTS;
+    }
+
+    // Switches at the next bar line like any queued slot.
+    toggleVariation(g) {
+        if (this.variation[g] === 'A') {
+            this.home[g] = this.active[g];
+            this.variation[g] = 'B';
+            this.queueSlot(g, this.bSlotFor(g));
+        } else {
+            this.variation[g] = 'A';
+            this.queueSlot(g, this.home[g]);
+        }
+    }
+
+    // g null fills every group.
+    triggerFill(g) {
+        if (!this.isPlaying) return this.log("ERR: FILLS NEED THE TRANSPORT RUNNING");
+        if (g === null) return [0, 1, 2, 3].forEach(i => this.triggerFill(i));
+        if (this.fills[g]) return;
+        this.fills[g] = { back: null };
+        this.log(`FILL ${'ABCD'[g]} NEXT BAR`);
+        if (this.onPatternChange) this.onPatternChange(g);
+    }
+
+    fillActive(g) {
+        return !!this.fills[g] && this.fills[g].back !== null;
+    }
+
+    startFill(g) {
+        if (this.fills[g].back !== null) return;
+        this.fills[g].back = this.active[g];
+        const slot = this.perform[g].fillSlot;
+        if (slot !== null && slot !== this.active[g]) this.selectSlot(g, slot);
+        else if (this.onPatternChange) this.onPatternChange(g);
+    }
+
+    endFills() {
+        this.fills.forEach((fill, g) => {
+            if (!fill || fill.back === null) return;
+            this.fills[g] = null;
+            if (this.active[g] !== fill.back) this.selectSlot(g, fill.back);
+            else if (this.onPatternChange) this.onPatternChange(g);
+        });
+    }
+
+    // A scene holds the slot, pad mutes and chord settings of every group, plus the mixer mutes.
+    captureScene(name = '') {
+        return {
+            name,
+            slots: [...this.active],
+            pads: this.projectData.map(group => group.map(pad => ({
+                muted: pad.muted,
+                chord: pad.mode === 'chord' ? JSON.parse(JSON.stringify(pad.chord)) : null
+            }))),
+            strips: this.mixer.map(strip => ({ mute: strip.mute, solo: strip.solo }))
+        };
+    }
+
+    recallScene(index) {
+        const scene = this.scenes[index];
+        if (!scene) return;
+        if (!this.isPlaying) return this.applyScene(scene);
+        this.sceneQueued = index;
+        this.log(`QUEUED SCENE ${index + 1}`);
+    }
+
+    // Keeps a queued recall pointing at the same scene, or drops it with the scene.
+    removeScene(index) {
+        if (!this.scenes[index]) return;
+        this.scenes.splice(index, 1);
+        if (this.sceneQueued === index) this.sceneQueued = null;
+        else if (this.sceneQueued !== null && this.sceneQueued > index) this.sceneQueued--;
+    }
+
+    applyScene(scene) {
+        scene.slots.forEach((slot, g) => {
+            if (this.active[g] !== slot) this.selectSlot(g, slot);
+            this.variation[g] = 'A';
+        });
+        this.projectData.forEach((group, g) => group.forEach((pad, p) => {
+            const saved = scene.pads[g][p];
+            pad.muted = saved.muted;
+            if (saved.chord && pad.mode === 'chord') pad.chord = JSON.parse(JSON.stringify(saved.chord));
+        }));
+        scene.strips.forEach((s, g) => Object.assign(this.mixer[g], s));
+        this.log(`SCENE ${scene.name || this.scenes.indexOf(scene) + 1}`);
+        if (this.onPatternChange) [0, 1, 2, 3].forEach(g => this.onPatternChange(g));
+    }
+
+    // --- MIXER & GROOVE ---
+    setStrip(g, changes) {
+        Object.assign(this.mixer[g], changes);
+        this.portOuts.clear();
+    }
+
+    groupAudible(g) {
+        const strip = this.mixer[g];
+        return !strip.mute && (strip.solo || !this.mixer.some(s => s.solo));
+    }
+
+    humanizeMs(g) {
+        return this.mixer[g].humanize ?? (this.humanize ? HUMANIZE_MS : 0);
+    }
+
+    grooveFor(id) {
+        return GROOVES[id] || this.grooves.find(gr => gr.id === id) || null;
+    }
+
+    addGroove(groove) {
+        if (this.grooves.length >= MAX_USER_GROOVES) return null;
+        let n = 1;
+        while (this.grooves.some(gr => gr.id === `user${n}`)) n++;
+        const entry = { id: `user${n}`, ...groove };
+        this.grooves.push(entry);
+        return entry;
+    }
+
+    removeGroove(id) {
+        this.grooves = this.grooves.filter(gr => gr.id !== id);
+        this.mixer.forEach(strip => { if (strip.groove === id) strip.groove = 'none'; });
+    }
+
+    // Timing shift (in 16ths) and velocity factor for a pad's step k. A groove works on the
+    // bar's 16th grid, so pad steps falling between 16ths play straight.
+    stepFeel(g, k, ratio) {
+        const strip = this.mixer[g];
+        const groove = this.grooveFor(strip.groove);
+        if (!groove) {
+            const swing = strip.swing ?? this.swing;
+            return { shift: k % 2 === 1 ? swing / 100 / ratio : 0, vel: 1 };
+        }
+        const pos = k / ratio;
+        const i = Math.round(pos);
+        if (Math.abs(pos - i) > RATE_EPSILON) return { shift: 0, vel: 1 };
+        const n = i % groove.timing.length;
+        return { shift: groove.timing[n], vel: groove.velocity[n] };
+    }
+
+    // --- TIMING DIAGNOSTICS ---
+    measureTick() {
+        const t = this.clock.now();
+        if (this.timing.lastTick !== null) {
+            const jitter = Math.abs((t - this.timing.lastTick) - this.tickInterval);
+            this.timing.maxJitterMs = Math.max(this.timing.maxJitterMs, jitter);
+        }
+        this.timing.lastTick = t;
+    }
+
+    // Called once per bar: stays quiet unless a step went out late or a tick slipped a whole interval.
+    reportTiming() {
+        const { late, maxLateMs, maxJitterMs } = this.timing;
+        if (this.onTiming) this.onTiming({ late, maxLateMs, maxJitterMs });
+        if (late > 0 || maxJitterMs > this.tickInterval) {
+            this.log(`TIMING: ${late} LATE (MAX ${Math.round(maxLateMs)}MS) JITTER ${Math.round(maxJitterMs)}MS`);
+        }
+        this.timing.late = 0;
+        this.timing.maxLateMs = 0;
+        this.timing.maxJitterMs = 0;
     }
 
     advanceNote() {
@@ -184,77 +845,421 @@ export class SequencerEngine {
     }
 
     scheduleNote(beatNumber, time) {
-        if (this.midiOut) {
-            const secondsPer16th = (60.0 / this.bpm) * 0.25;
+        const secondsPer16th = (60.0 / this.bpm) * 0.25;
+        this.stepTimeline.push({ beat: beatNumber, time, len: secondsPer16th });
+        if (this.stepTimeline.length > 32) this.stepTimeline.shift();
+        if (this.midiOut && this.syncMode === 'internal') {
             const pulseInterval = secondsPer16th / 6;
             for (let i = 0; i < 6; i++) {
-                this.midiOut.send([0xF8], performance.now() + ((time + (i * pulseInterval)) - this.audioCtx.currentTime) * 1000);
+                this.midiOut.send([0xF8], this.midiTime(time + (i * pulseInterval)));
             }
         }
-        const isEven = (beatNumber % 2) !== 0;
-        const swingDelay = isEven ? ((60 / this.bpm) / 4) * (this.swing / 100) : 0;
-        const humanJitter = this.humanize ? (Math.random() * 0.015) : 0;
-        const baseMidiTime = performance.now() + ((time + swingDelay + humanJitter) - this.audioCtx.currentTime) * 1000;
+        const baseMidiTime = this.midiTime(time);
+        this.flushNotes();
 
         for (let g = 0; g < 4; g++) {
-            const chan = g;
-            const noteOn = 0x90 + chan;
-            const noteOff = 0x80 + chan;
-            const ccStatus = 0xB0 + chan;
-
+            const depth = this.humanizeMs(g);
+            const groupTime = baseMidiTime + (depth > 0 ? this.random() * depth : 0);
             for (let p = 0; p < 12; p++) {
                 const pad = this.projectData[g][p];
-                const stepIdx = beatNumber % FIXED_STEPS;
-                const noteChar = pad.notes[stepIdx];
-                const autoVal = pad.auto[stepIdx];
-
-                if (autoVal > 0) this.midiOut.send([ccStatus, pad.autoTargetCC, autoVal], baseMidiTime);
-
-                if (noteChar !== 'O' && !pad.muted) {
-                    const velOut = this.computeVelocity(pad, noteChar);
-                    if (pad.mode === 'chord') this.triggerChord(pad, chan, velOut, noteOn, noteOff, baseMidiTime);
-                    else {
-                        this.midiOut.send([noteOn, pad.midiNote, velOut], baseMidiTime);
-                        this.midiOut.send([noteOff, pad.midiNote, 0], baseMidiTime + pad.gateMs);
-                    }
-                    if (this.onStepTrigger) setTimeout(() => this.onStepTrigger(g, p), (baseMidiTime - performance.now()));
+                const stepLen = secondsPer16th / (PAD_RATES[pad.rate] ?? 1);
+                this.padStepsInBeat(pad, beatNumber, g).forEach(({ k, offset }) => {
+                    this.schedulePadStep(g, p, k, groupTime + offset * secondsPer16th * 1000, stepLen);
+                });
+            }
+        }
+        if (this.onClockTick) this.later(() => this.onClockTick(beatNumber), (baseMidiTime - this.clock.now()));
+    }
+
+    // Each pad runs its own step counter k at its rate; returns the pad steps starting inside
+    // this 16th with their offset from it in 16ths, shifted by group g's swing or groove.
+    padStepsInBeat(pad, beatNumber, g) {
+        const ratio = PAD_RATES[pad.rate] ?? 1;
+        const from = beatNumber * ratio;
+        const to = (beatNumber + 1) * ratio;
+        const steps = [];
+        for (let k = Math.ceil(from - RATE_EPSILON); k < to - RATE_EPSILON; k++) {
+            steps.push({ k, offset: (k - from) / ratio + this.stepFeel(g, k, ratio).shift });
+        }
+        return steps;
+    }
+
+    padStepAt(pad, beatNumber) {
+        const ratio = PAD_RATES[pad.rate] ?? 1;
+        return Math.floor(beatNumber * ratio + RATE_EPSILON) % pad.steps;
+    }
+
+    // How many times the pad has run through its length since start; recording loops count on
+    // from where the previous pass left off.
+    padCycle(pad, k) {
+        const ratio = PAD_RATES[pad.rate] ?? 1;
+        const perLoop = Math.ceil(Math.round(this.globalBars * 16 * ratio) / pad.steps);
+        return this.loopCount * perLoop + Math.floor(k / pad.steps);
+    }
+
+    // Condition first, then probability, so a 1:2 step at 50% sounds on a quarter of cycles.
+    stepPasses(pad, stepIdx, k, g) {
+        if (!conditionMet(pad.cond[stepIdx], this.padCycle(pad, k), this.fill || this.fillActive(g))) return false;
+        const prob = pad.prob[stepIdx];
+        return prob >= 100 || this.random() * 100 < prob;
+    }
+
+    schedulePadStep(g, p, k, stepTime, stepLen) {
+        const pad = this.projectData[g][p];
+        const strip = this.mixer[g];
+        const chan = this.channelFor(g);
+        const out = this.outputFor(g);
+        const ratio = PAD_RATES[pad.rate] ?? 1;
+        const stepIdx = k % pad.steps;
+        const noteChar = pad.notes[stepIdx];
+
+        pad.lanes.forEach(lane => this.sendLane(chan, lane, stepIdx, stepTime, stepLen, pad.steps, out));
+
+        // A hit recorded just ahead of this step already sounded live.
+        const justRecorded = this.record.pending.delete(`${g}:${p}:${k}`);
+        // VEL % at 0 silences the notes; lanes above still play.
+        if (noteChar === 'O' || pad.muted || justRecorded || !this.groupAudible(g) || strip.velScale <= 0) return;
+        if (!this.stepPasses(pad, stepIdx, k, g)) return;
+
+        const velOut = this.computeVelocity(pad, noteChar) * this.stepFeel(g, k, ratio).vel * strip.velScale / 100;
+        const noteTime = stepTime + pad.nudge[stepIdx] * stepLen * 1000;
+        // Ratchets split the step evenly, each repeat a little quieter and gated to fit its slot.
+        const repeats = clamp(pad.ratchet[stepIdx] || 1, 1, MAX_RATCHET);
+        const subMs = (stepLen * 1000) / repeats;
+        const gateMs = repeats > 1 ? Math.min(pad.gateMs, subMs * 0.9) : pad.gateMs;
+        const chord = pad.mode === 'chord' ? this.chordAt(pad, k / ratio) : null;
+        const harmony = chord && { ...chord, root: chord.root + strip.transpose };
+        for (let r = 0; r < repeats; r++) {
+            const vel = clamp(Math.round(velOut * (1 - r * RATCHET_DECAY)), 1, 127);
+            const t = noteTime + r * subMs;
+            if (harmony) this.triggerChord(pad, chan, vel, 0x90 + chan, 0x80 + chan, t, gateMs, harmony, repeats > 1 ? subMs : null, out);
+            else this.sendMidiNote(chan, pad.midiNote, vel, gateMs, t, out);
+        }
+        if (harmony && this.onChord) {
+            const name = chordName(harmony.root, harmony.quality, pad.chord.ext);
+            this.later(() => this.onChord(g, p, name), (noteTime - this.clock.now()));
+        }
+        if (this.onStepTrigger) this.later(() => this.onStepTrigger(g, p), (noteTime - this.clock.now()));
+    }
+
+    sendMidiNote(chan, note, vel, gateMs, time, out = this.midiOut) {
+        this.sendNote(out, chan, note, vel, time, time + gateMs);
+    }
+
+    // Interpolated CC and pitch-bend lanes also glide inside the step instead of jumping per step.
+    sendLane(chan, lane, step, time, stepLen, length = FIXED_STEPS, out = this.midiOut) {
+        const v = laneValueAt(lane, step, length);
+        if (v === null) return;
+        this.sendLaneValue(chan, lane, v, time, out);
+        if (!lane.interp || lane.target === 'program' || step + 1 >= length) return;
+        const next = laneValueAt(lane, step + 1, length);
+        if (next === null || next === v) return;
+        for (let i = 1; i < LANE_SUBDIV; i++) {
+            const sub = Math.round(v + (next - v) * i / LANE_SUBDIV);
+            this.sendLaneValue(chan, lane, sub, time + (i * stepLen * 1000) / LANE_SUBDIV, out);
+        }
+    }
+
+    sendLaneValue(chan, lane, v, time, out = this.midiOut) {
+        if (lane.target === 'pitchbend') {
+            const bend = v === 64 ? 8192 : Math.round((v / 127) * 16383);
+            out.send([0xE0 + chan, bend & 0x7F, bend >> 7], time);
+        } else if (lane.target === 'program') {
+            out.send([0xC0 + chan, v], time);
+        } else {
+            out.send([0xB0 + chan, lane.cc, v], time);
+        }
+    }
+
+    // --- LIVE RECORDING ---
+    setRecord({ armed = this.record.armed, mode = this.record.mode, strength = this.record.strength } = {}) {
+        this.record.armed = armed;
+        this.record.mode = RECORD_MODES.includes(mode) ? mode : 'overdub';
+        this.record.strength = clamp(strength, 0, 100);
+        this.record.touched.clear();
+    }
+
+    // Quantises a hit at scheduling time `time` to the pad's nearest step (at its own rate);
+    // whatever strength leaves unquantised is kept as that step's nudge.
+    // Returns { step, char } or null when not recording.
+    recordHit(g, p, vel, time = this.clock.currentTime) {
+        if (!this.record.armed || !this.isPlaying || this.stepTimeline.length === 0) return null;
+        let refIdx = 0;
+        this.stepTimeline.forEach((entry, i) => { if (entry.time <= time) refIdx = i; });
+        const ref = this.stepTimeline[refIdx];
+        const pad = this.projectData[g][p];
+        const ratio = PAD_RATES[pad.rate] ?? 1;
+
+        const pos = (ref.beat + (time - ref.time) / ref.len) * ratio;
+        let k = Math.round(pos);
+        const offset = pos - k;
+        if (this.syncMode === 'internal') k %= Math.round(this.globalBars * 16 * ratio);
+        const step = k % pad.steps;
+
+        const key = `${g}:${p}`;
+        if (this.record.mode === 'replace' && !this.record.touched.has(key)) {
+            pad.notes.fill('O');
+            pad.nudge.fill(0);
+            pad.prob.fill(100);
+            pad.cond.fill('none');
+            pad.ratchet.fill(1);
+        }
+        this.record.touched.add(key);
+
+        const char = stepForVelocity(vel);
+        pad.notes[step] = char;
+        pad.nudge[step] = clamp(offset * (1 - this.record.strength / 100), -0.5, 0.5);
+        pad.prob[step] = 100;
+        pad.cond[step] = 'none';
+        pad.ratchet[step] = 1;
+        const beat = Math.floor(k / ratio + RATE_EPSILON);
+        if (!this.stepTimeline.slice(refIdx).some(e => e.beat === beat)) this.record.pending.add(`${g}:${p}:${k}`);
+        return { step, char };
+    }
+
+    // --- EXTERNAL SYNC ---
+    // In external mode the master's 0xF8 pulses drive the grid: every 6th pulse plays one 16th.
+    setSyncMode(mode) {
+        if (this.isPlaying) this.stop();
+        this.syncMode = mode === 'external' ? 'external' : 'internal';
+        this.ext = { running: false, pulses: 0, position: 0, lastPulse: null, intervals: [] };
+        this.log(`SYNC: ${this.syncMode.toUpperCase()}`);
+    }
+
+    // --- PORTS ---
+    listOutputs() {
+        if (!this.midiAccess) return [];
+        return Array.from(this.midiAccess.outputs.values()).map(o => ({ id: o.id, name: o.name || 'UNKNOWN' }));
+    }
+
+    // With nothing to send MIDI to, the sequencer stays playable on the internal synth.
+    fallbackToSynth() {
+        if (!this.synth) return false;
+        this.setOutputMode('internal');
+        return true;
+    }
+
+    selectOutput(id, { detect = true } = {}) {
+        const port = (id && this.midiAccess && this.midiAccess.outputs.get(id)) || null;
+        if (this.isPlaying) this.stop();
+        this.midiPort = port;
+        this.routeOutputs();
+        if (!port) return this.log("OUTPUT: NONE");
+        this.log(`LINKED: ${(port.name || 'UNKNOWN')}`);
+        const found = detect && detectProfile(port.name);
+        if (found && found !== this.profileId) this.setProfile(found);
+    }
+
+    handlePortChange(port) {
+        const gone = port.state === 'disconnected';
+        if (gone && this.midiPort && this.midiPort.id === port.id) {
+            this.stop();
+            this.midiPort = null;
+            this.routeOutputs();
+            this.log(`UNPLUGGED: ${port.name || 'UNKNOWN'}`);
+        } else if (gone && this.midiIn && this.midiIn.id === port.id) {
+            this.midiIn = null;
+            this.log(`UNPLUGGED: ${port.name || 'UNKNOWN'}`);
+        } else if (!gone && port.type === 'output' && !this.midiPort && detectProfile(port.name)) {
+            this.selectOutput(port.id);
+        }
+        if (this.onPortsChanged) this.onPortsChanged();
+    }
+
+    listInputs() {
+        if (!this.midiAccess) return [];
+        return Array.from(this.midiAccess.inputs.values()).map(i => ({ id: i.id, name: i.name || 'UNKNOWN' }));
+    }
+
+    selectInput(id) {
+        if (this.midiIn) this.midiIn.onmidimessage = null;
+        this.midiIn = (id && this.midiAccess && this.midiAccess.inputs.get(id)) || null;
+        if (this.midiIn) {
+            this.midiIn.onmidimessage = (e) => this.handleMidiMessage(e);
+            this.log(`INPUT: ${this.midiIn.name || 'UNKNOWN'}`);
+        }
+    }
+
+    handleMidiMessage({ data, timeStamp }) {
+        const status = data[0];
+        if (status >= 0xF8 || status === 0xF2) {
+            if (this.syncMode === 'external') this.handleSyncMessage(data, timeStamp ?? this.clock.now());
+            return;
+        }
+        if (this.onMidiInput) this.onMidiInput(data, timeStamp ?? this.clock.now());
+    }
+
+    handleSyncMessage(data, stamp) {
+        const ext = this.ext;
+        switch (data[0]) {
+            case 0xFA:
+                ext.position = 0;
+                this.followStart("EXT START");
+                // From the top, as a local start: the song and loop counts begin again.
+                if (ext.running) {
+                    this.loopCount = 0;
+                    if (this.songMode && this.song.length > 0) this.enterSongEntry(0);
+                }
+                break;
+            case 0xFB:
+                this.followStart(`EXT CONTINUE @ ${ext.position}`);
+                break;
+            case 0xFC:
+                if (ext.running) this.stop();
+                break;
+            case 0xF2:
+                // Song Position Pointer counts MIDI beats, which are 16ths.
+                if (!ext.running) {
+                    ext.position = data[1] | (data[2] << 7);
+                    ext.pulses = 0;
+                }
+                break;
+            case 0xF8:
+                this.handleClockPulse(stamp);
+                break;
+        }
+    }
+
+    // Only the step position carries over (from the last stop or a Song Position Pointer): the
+    // first pulse after Start/Continue plays that step, and tempo is measured afresh.
+    // With no output there is nothing to follow with, as for a local start (handleInject).
+    followStart(msg) {
+        Object.assign(this.ext, { pulses: 0, lastPulse: null, intervals: [] });
+        if (!this.midiOut) return this.log(`ERR: NO OUTPUT, ${msg} IGNORED`);
+        this.ext.running = true;
+        this.isPlaying = true;
+        this.log(msg);
+    }
+
+    handleClockPulse(stamp) {
+        const ext = this.ext;
+        const gap = ext.lastPulse === null ? null : stamp - ext.lastPulse;
+        ext.lastPulse = stamp;
+        // Anything slower than 10 BPM is a pause in the clock stream, not a tempo.
+        if (gap !== null && gap > 0 && gap < 250) {
+            ext.intervals.push(gap);
+            if (ext.intervals.length > 24) ext.intervals.shift();
+            if (ext.intervals.length === 24) {
+                const avg = ext.intervals.reduce((a, b) => a + b, 0) / 24;
+                const bpm = Math.round(600000 / (avg * 24)) / 10;
+                if (Math.abs(bpm - this.bpm) >= 0.5) {
+                    this.bpm = bpm;
+                    if (this.onBpmChange) this.onBpmChange(bpm);
                 }
             }
         }
-        if (this.onClockTick) setTimeout(() => this.onClockTick(beatNumber % FIXED_STEPS), (baseMidiTime - performance.now()));
+        if (!ext.running) return;
+        if (ext.pulses % 6 === 0) {
+            const time = this.clock.currentTime + (stamp - this.clock.now()) / 1000;
+            // The same pass boundary as the scheduler: song rows, repeats and one-shot runs.
+            if (ext.position >= this.globalBars * 16) {
+                if (!this.nextPass()) {
+                    this.finish(time);
+                    return this.log("COMPLETE");
+                }
+                ext.position = this.current16thNote;
+            }
+            this.current16thNote = ext.position;
+            if (ext.position % 16 === 0) this.applyQueued();
+            this.scheduleNote(ext.position, time);
+            ext.position++;
+        }
+        ext.pulses++;
     }
 
     computeVelocity(pad, stepChar) {
-        let vel = stepChar === 'X' ? 120 : stepChar === 'Y' ? 85 : 50;
+        let vel = STEP_VELOCITY[stepChar] ?? STEP_VELOCITY.Z;
         if (pad.velMode === 'fixed') vel = pad.velA;
         else if (pad.velMode === 'range') {
             const lo = Math.min(pad.velA, pad.velB);
             const hi = Math.max(pad.velA, pad.velB);
-            vel = lo + Math.floor(Math.random() * (hi - lo + 1));
+            vel = lo + Math.floor(this.random() * (hi - lo + 1));
         }
         return clamp(Math.round(vel), 1, 127);
     }
 
-    triggerChord(pad, chan, vel, noteOn, noteOff, time) {
-        let baseNote = (pad.chord.oct + 1) * 12 + pad.chord.root;
-        let intervals = getChordIntervals(pad.chord.quality, pad.chord.ext);
-        const fluxVal = pad.chord.flux / 100;
-        let effectiveInv = pad.chord.inv;
-        if (fluxVal > 0 && Math.random() < fluxVal) {
-            if (Math.random() > 0.5) effectiveInv = (effectiveInv + 1) % 4;
-            if (fluxVal > 0.6 && Math.random() > 0.8) baseNote += (Math.random() > 0.5 ? 12 : -12);
+    // The chord a pad plays at `beat`: its own root/quality, or its progression's current
+    // degree in the project key. Per-hit progressions advance on every call.
+    chordAt(pad, beat = this.current16thNote) {
+        const c = pad.chord;
+        if (c.prog.length === 0) return { root: c.root, quality: c.quality };
+        let i;
+        if (c.advance === 'hit') {
+            i = this.progHits.get(pad) ?? 0;
+            this.progHits.set(pad, i + 1);
+        } else {
+            i = this.loopCount * this.globalBars + Math.floor(beat / 16);
+        }
+        return diatonicChord(this.key, this.scale, c.prog[i % c.prog.length], c.ext);
+    }
+
+    // With lead on, the inversion (and octave below) closest to the pad's last chord wins;
+    // otherwise the fixed inversion applies and flux may knock it about.
+    chordNotes(pad, harmony) {
+        const c = pad.chord;
+        const baseNote = (c.oct + 1) * 12 + harmony.root;
+        const intervals = getChordIntervals(harmony.quality, c.ext);
+        if (c.lead) {
+            const candidates = [];
+            [0, -12].forEach(shift => {
+                for (let inv = 0; inv < Math.min(4, intervals.length); inv++) {
+                    candidates.push(applyVoicing(applyInversion(intervals, inv), c.voice).map(n => baseNote + shift + n));
+                }
+            });
+            const notes = voiceLead(this.lastVoicing.get(pad), candidates);
+            this.lastVoicing.set(pad, notes);
+            return notes;
         }
-        intervals = applyInversion(intervals, effectiveInv);
-        intervals = applyVoicing(intervals, pad.chord.voice);
-
-        intervals.forEach((interval, i) => {
-            const noteNum = baseNote + interval;
-            const strumDelay = i * (5 + (fluxVal * 20));
-            const velVar = clamp(Math.round(vel + ((Math.random() - 0.5) * fluxVal * 40)), 1, 127);
-            this.midiOut.send([noteOn, noteNum, velVar], time + strumDelay);
-            this.midiOut.send([noteOff, noteNum, 0], time + strumDelay + pad.gateMs);
+        let shift = 0;
+        let effectiveInv = c.inv;
+        const fluxVal = c.flux / 100;
+        if (fluxVal > 0 && this.random() < fluxVal) {
+            if (this.random() > 0.5) effectiveInv = (effectiveInv + 1) % 4;
+            if (fluxVal > 0.6 && this.random() > 0.8) shift = this.random() > 0.5 ? 12 : -12;
+        }
+        return applyVoicing(applyInversion(intervals, effectiveInv), c.voice).map(n => baseNote + shift + n);
+    }
+
+    // `span` caps how long an arp may run, e.g. one ratchet slot.
+    triggerChord(pad, chan, vel, noteOn, noteOff, time, gateMs = pad.gateMs, harmony = this.chordAt(pad), span = null, out = this.midiOut) {
+        const fluxVal = pad.chord.flux / 100;
+        const notes = this.chordNotes(pad, harmony).filter(n => n >= 0 && n <= 127);
+        if (pad.chord.arp.mode !== 'off') return this.arpeggiate(pad, notes, vel, noteOn, noteOff, time, span, out);
+
+        const { dir, ms } = pad.chord.strum;
+        const order = dir === 'down' ? [...notes].reverse() : notes;
+        order.forEach((noteNum, i) => {
+            const strumDelay = dir === 'none' ? 0 : i * (ms + (fluxVal * 20));
+            const velVar = clamp(Math.round(vel + ((this.random() - 0.5) * fluxVal * 40)), 1, 127);
+            this.sendNote(out, chan, noteNum, velVar, time + strumDelay, time + strumDelay + gateMs);
         });
     }
+
+    arpSequence(notes, mode, octaves) {
+        const played = [];
+        for (let o = 0; o < octaves; o++) notes.forEach(n => { if (n + o * 12 <= 127) played.push(n + o * 12); });
+        const up = [...played].sort((a, b) => a - b);
+        if (mode === 'down') return up.reverse();
+        if (mode === 'updown') return up.concat(up.slice(1, -1).reverse());
+        if (mode === 'played') return played;
+        return up;
+    }
+
+    // Tempo-synced arp over the hit's hold time; odd notes take the arp's own swing.
+    arpeggiate(pad, notes, vel, noteOn, noteOff, time, span, out = this.midiOut) {
+        const { mode, rate, octaves, gate, swing, hold } = pad.chord.arp;
+        const fluxVal = pad.chord.flux / 100;
+        const stepMs = (ARP_RATES[rate] ?? 1) * (60000 / this.bpm) / 4;
+        const holdMs = Math.min(hold * (60000 / this.bpm) / 4, span ?? Infinity);
+        const seq = this.arpSequence(notes, mode, octaves);
+        const count = Math.max(1, Math.floor(holdMs / stepMs + 1e-6));
+        for (let i = 0; i < count; i++) {
+            const noteNum = mode === 'random' ? seq[Math.floor(this.random() * seq.length)] : seq[i % seq.length];
+            const t = time + i * stepMs + (i % 2 === 1 ? stepMs * swing / 100 : 0);
+            const velVar = clamp(Math.round(vel + ((this.random() - 0.5) * fluxVal * 40)), 1, 127);
+            this.sendNote(out, noteOn & 0x0F, noteNum, velVar, t, t + Math.max(5, stepMs * gate / 100));
+        }
+    }
 }
 
 // --- FULL PRESETS ---
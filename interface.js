@@ -2,11 +2,46 @@
    XOZY-EP INTERFACE v2.0
    ========================================= */
 
-import { SequencerEngine, PRESETS, FIXED_STEPS, clamp } from './engine.js';
+import {
+    SequencerEngine, FIXED_STEPS, MAX_LANES, STEP_CONDITIONS, PATTERN_SLOTS, MAX_REPEATS, MAX_SCENES,
+    clamp, createLane, laneValueAt, createSongEntry, createGroup
+} from './engine.js';
+import {
+    serializeProject, parseProject, applyProject, autosaveProject, loadAutosave,
+    listProjects, saveProjectAs, loadProjectByName, deleteProject
+} from './assets/js/project-file.js';
+import { exportMidiFile, parseMidiFile, importMidiPattern, renderBars } from './assets/js/midi-file.js';
+import { exportWav } from './assets/js/wav-render.js';
+import { DEVICE_PROFILES } from './assets/js/device-profiles.js';
+import { createRng } from './assets/js/random.js';
+import { euclidPreset, densityPreset, mutatePattern, generateKit } from './assets/js/generators.js';
+import { NOTE_NAMES, SCALES, diatonicChord, parseProgression, formatProgression, chordName } from './assets/js/theory.js';
+import { EditHistory, snapshot, padTarget, groupTarget, copyFrom, pasteInto } from './assets/js/history.js';
+import { encodeNotation, parseNotation, applyNotation, notationToHash, notationFromHash } from './assets/js/notation.js';
+import { KEY_ACTIONS, keyName, displayKey, loadKeymap, saveKeymap, resetKeymap, bindKey, keyIndex } from './assets/js/keymap.js';
+import { GROOVES, extractGroove } from './assets/js/grooves.js';
+import {
+    presetFromPad, presetFromGroup, isMulti, parseTags, listUserPresets, saveUserPreset, updateUserPreset,
+    deleteUserPreset, searchPresets, presetCategories, exportPack, importPack
+} from './assets/js/preset-library.js';
+
+const AUTOSAVE_MS = 3000;
 
 const engine = new SequencerEngine();
 let activeGroup = 0;
 let selectedPad = 0;
+let projectName = 'UNTITLED';
+let selectedLane = 0;
+let laneTool = 'draw';
+let lineStart = null;
+let selectedStep = 0;
+const edits = new EditHistory();
+let clipboard = null;
+let clipScope = 'pattern';
+let recordEdit = null;
+let keymap = loadKeymap();
+let keyLookup = keyIndex(keymap);
+let bindingAction = null;
 
 const ui = {
     grid: document.getElementById('grid-notes'),
@@ -17,6 +52,11 @@ const ui = {
     tempo: document.getElementById('tempo'),
     editorTitle: document.getElementById('editor-title'),
     chordRoot: document.getElementById('chord-root'),
+    projectName: document.getElementById('project-name'),
+    projectList: document.getElementById('project-list'),
+    projectFile: document.getElementById('project-file'),
+    midiFile: document.getElementById('midi-import-file'),
+    lane: document.getElementById('auto-lane'),
     // NEW DROPDOWNS
     kitSel: document.getElementById('preset-kit-select'),
     padSel: document.getElementById('preset-pad-select')
@@ -24,10 +64,42 @@ const ui = {
 
 async function initInterface() {
     initTheme();
+    initTiming();
+    initProfiles();
+    restoreAutosave();
+    initProjectControls();
+    initMidiImport();
+    initLaneEditor();
+    initStepInspector();
+    initKeyControls();
+    initMixer();
+    syncGeneratorUI();
     renderGroupTabs();
     renderPads();
-    populatePresets();
+    renderKeymap();
+    initPresetLibrary();
     selectPad(0);
+    renderSlots();
+    renderSong();
+    renderPerform();
+    loadFromHash();
+    window.addEventListener('hashchange', loadFromHash);
+    engine.onPatternChange = (g) => {
+        renderSlots();
+        renderPerform();
+        if (g !== activeGroup) return;
+        syncMixerUI();
+        syncPadSettingsUI();
+        renderSteps();
+    };
+    engine.onSongPosition = renderSong;
+    const lastChords = new Map();
+    engine.onChord = (g, p, name) => {
+        const key = `${g}:${p}`;
+        if (lastChords.get(key) === name) return;
+        lastChords.set(key, name);
+        log(`CHORD ${'ABCD'[g]}${p + 1}: ${name}`);
+    };
 
     document.getElementById('init-btn').onclick = () => initEngine();
     document.getElementById('transport-btn').onclick = toggleTransport;
@@ -36,6 +108,9 @@ async function initInterface() {
     document.getElementById('swing-slider').oninput = (e) => engine.swing = parseInt(e.target.value, 10);
     document.getElementById('global-bars').onchange = (e) => engine.globalBars = parseInt(e.target.value, 10);
     
+    document.addEventListener('keydown', handleKeys);
+    document.addEventListener('keydown', handleEditKeys);
+
     document.querySelectorAll('.kb-key').forEach(k => {
         k.onmousedown = (e) => {
             const note = parseInt(k.getAttribute('data-note'), 10);
@@ -48,8 +123,10 @@ async function initInterface() {
 }
 
 async function initEngine() {
+    engine.onPortsChanged = () => { refreshPortLists(); syncProfileUI(); };
     const ready = await engine.init();
     if (!ready) {
+        refreshPortLists();
         log("OFFLINE MODE (NO MIDI)");
         return;
     }
@@ -57,42 +134,350 @@ async function initEngine() {
     engine.onStepTrigger = (g, p, vel) => {
         if (g === activeGroup) flashPad(p);
     };
-    engine.onClockTick = (stepIndex) => {
+    engine.onClockTick = (beat) => {
+        const stepIndex = engine.padStepAt(engine.projectData[activeGroup][selectedPad], beat);
         const steps = document.querySelectorAll('.step-box');
         steps.forEach((el, i) => {
             el.style.borderColor = (i === stepIndex) ? 'var(--accent)' : 'var(--text)';
             el.style.opacity = (i === stepIndex) ? '1' : '';
         });
     };
+    engine.onBpmChange = (bpm) => { if (ui.tempo) ui.tempo.value = bpm; };
+    engine.onMidiInput = handleMidiNoteIn;
+    restorePorts();
+    refreshPortLists();
+    syncProfileUI();
     document.getElementById('init-btn').innerText = "LINKED";
     document.getElementById('init-btn').classList.add('active');
 }
 
-// --- POPULATE SPLIT MENUS ---
-function populatePresets() {
-    if (!ui.kitSel || !ui.padSel) return;
-    
-    ui.kitSel.innerHTML = '<option value="">-- LOAD KIT --</option>';
-    ui.padSel.innerHTML = '<option value="">-- LOAD PATTERN --</option>';
+// --- PORTS & DEVICE PROFILES ---
+function refreshPortLists() {
+    const fill = (id, ports, current) => {
+        const sel = document.getElementById(id);
+        if (!sel) return;
+        sel.innerHTML = '<option value="">-- NONE --</option>';
+        ports.forEach(port => {
+            const opt = document.createElement('option');
+            opt.value = port.id;
+            opt.innerText = port.name;
+            sel.appendChild(opt);
+        });
+        sel.value = current ? current.id : '';
+    };
+    fill('midi-out-select', engine.listOutputs(), engine.midiPort);
+    fill('midi-in-select', engine.listInputs(), engine.midiIn);
+    const mode = document.getElementById('output-mode');
+    if (mode) mode.value = engine.outputMode;
+    syncMixerUI();
+}
+
+// Ports are remembered by name: ids aren't stable across sessions on every platform.
+function restorePorts() {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem('oxo_ports')); } catch (e) { saved = null; }
+    if (!saved) return;
+    const byName = (ports, name) => ports.find(p => p.name === name);
+    const out = byName(engine.listOutputs(), saved.output);
+    if (out && (!engine.midiPort || engine.midiPort.id !== out.id)) engine.selectOutput(out.id, { detect: false });
+    const inp = byName(engine.listInputs(), saved.input);
+    if (inp) engine.selectInput(inp.id);
+    // A remembered MIDI-only mode would leave a laptop with no port silent; keep the synth fallback then.
+    if (saved.outputMode && saved.outputMode !== engine.outputMode && (engine.midiPort || saved.outputMode !== 'midi')) {
+        engine.setOutputMode(saved.outputMode);
+    }
+    if (saved.profile && saved.profile !== engine.profileId) engine.setProfile(saved.profile);
+}
+
+function savePorts() {
+    localStorage.setItem('oxo_ports', JSON.stringify({
+        output: engine.midiPort ? engine.midiPort.name : null,
+        input: engine.midiIn ? engine.midiIn.name : null,
+        outputMode: engine.outputMode,
+        profile: engine.profileId
+    }));
+}
+
+function initProfiles() {
+    const sel = document.getElementById('profile-select');
+    if (!sel) return;
+    sel.innerHTML = '';
+    for (const [id, profile] of Object.entries(DEVICE_PROFILES)) {
+        const opt = document.createElement('option');
+        opt.value = id;
+        opt.innerText = profile.name;
+        sel.appendChild(opt);
+    }
+    syncProfileUI();
+}
+
+function syncProfileUI() {
+    const sel = document.getElementById('profile-select');
+    if (sel) sel.value = engine.profileId;
+    const chan = document.getElementById('chan-display');
+    if (chan) chan.innerText = [0, 1, 2, 3].map(g => `${'ABCD'[g]}${engine.channelFor(g) + 1}`).join(' ');
+    const list = document.getElementById('cc-options');
+    if (list) {
+        list.innerHTML = '';
+        for (const [cc, label] of Object.entries(engine.profile.ccs)) {
+            const opt = document.createElement('option');
+            opt.value = cc;
+            opt.label = label;
+            list.appendChild(opt);
+        }
+    }
+}
+
+// --- PROJECT FILES ---
+function restoreAutosave() {
+    try {
+        const parsed = loadAutosave();
+        if (parsed) openProject(parsed, true);
+    } catch (e) {
+        log(`ERR: AUTOSAVE ${e.message}`);
+    }
+    syncGlobalUI();
+    setInterval(autosave, AUTOSAVE_MS);
+    window.addEventListener('beforeunload', autosave);
+}
+
+// Logs a failure once, not on every tick until it clears.
+let autosaveFailed = false;
+function autosave() {
+    try {
+        autosaveProject(engine, projectName);
+        autosaveFailed = false;
+    } catch (e) {
+        if (!autosaveFailed) log(`ERR: AUTOSAVE ${e.message}`);
+        autosaveFailed = true;
+    }
+}
+
+function initProjectControls() {
+    refreshProjectList();
+    if (ui.projectName) ui.projectName.value = projectName;
+    if (!ui.projectFile) return;
+    ui.projectFile.onchange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            openProject(parseProject(await file.text()));
+        } catch (err) {
+            log(`ERR: IMPORT ${err.message}`);
+        }
+    };
+}
 
-    if (!PRESETS) return log("ERR: NO PRESETS FOUND");
+function initMidiImport() {
+    if (!ui.midiFile) return;
+    ui.midiFile.onchange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const midi = parseMidiFile(await file.arrayBuffer());
+            const autoAssign = document.getElementById('midi-auto-assign').checked;
+            let res;
+            editGroup('MIDI IMPORT', group => { res = importMidiPattern(midi, group, { autoAssign }); });
+            log(`MIDI IMPORTED: ${file.name} (${res.length} STEPS, ${res.filled.length} PADS)`);
+            res.assigned.forEach(a => log(`ASSIGNED: NOTE ${a.note} -> PAD ${a.pad}`));
+            res.unmatched.forEach(u => log(`UNMATCHED: NOTE ${u.note} (${u.hits} HITS)`));
+            if (res.dropped) log(`DROPPED: ${res.dropped} HITS PAST STEP ${FIXED_STEPS}`);
+            syncPadSettingsUI();
+            renderSteps();
+        } catch (err) {
+            log(`ERR: MIDI ${err.message}`);
+        }
+    };
+}
 
-    for (const [category, patterns] of Object.entries(PRESETS)) {
-        const group = document.createElement('optgroup');
-        group.label = category;
+function openProject(parsed, quiet = false) {
+    if (!parsed) return log("ERR: PROJECT NOT FOUND");
+    if (engine.isPlaying) engine.stop();
+    applyProject(engine, parsed);
+    edits.clear();
+    syncEditUI();
+    if (recordEdit) recordEdit = beginGroupsEdit('RECORD');
+    projectName = parsed.name;
+    if (ui.projectName) ui.projectName.value = projectName;
+    parsed.warnings.forEach(w => log(`FIXED: ${w}`));
+    syncGlobalUI();
+    syncPadSettingsUI();
+    renderSteps();
+    renderSlots();
+    renderSong();
+    renderPerform();
+    syncMixerUI();
+    syncProfileUI();
+    if (!quiet) log(`PROJECT LOADED: ${projectName}`);
+}
 
-        patterns.forEach(pat => {
+// --- MIXER ---
+// The panel edits the active group's strip. Blank swing/humanize fields follow the global settings.
+function initMixer() {
+    const chan = document.getElementById('mix-channel');
+    if (chan) {
+        chan.innerHTML = '<option value="">AUTO</option>';
+        for (let c = 0; c < 16; c++) chan.innerHTML += `<option value="${c}">${c + 1}</option>`;
+    }
+    const file = document.getElementById('groove-file');
+    if (!file) return;
+    file.onchange = async (e) => {
+        const f = e.target.files[0];
+        e.target.value = '';
+        if (!f) return;
+        try {
+            const groove = extractGroove(parseMidiFile(await f.arrayBuffer()), f.name.replace(/\.midi?$/i, ''));
+            const added = engine.addGroove(groove);
+            if (!added) return log("ERR: GROOVE SLOTS FULL");
+            engine.setStrip(activeGroup, { groove: added.id });
+            syncMixerUI();
+            log(`GROOVE EXTRACTED: ${added.name}`);
+        } catch (err) {
+            log(`ERR: GROOVE ${err.message}`);
+        }
+    };
+    syncMixerUI();
+}
+
+function syncMixerUI() {
+    const strip = engine.mixer[activeGroup];
+    const fill = (sel, entries) => {
+        sel.innerHTML = '';
+        entries.forEach(([value, text]) => {
             const opt = document.createElement('option');
-            opt.value = JSON.stringify(pat);
-            opt.innerText = pat.name;
-            group.appendChild(opt);
+            opt.value = value;
+            opt.innerText = text;
+            sel.appendChild(opt);
         });
+    };
+    const setVal = (id, val) => { const el = document.getElementById(id); if (el) el.value = val; };
+    const label = document.getElementById('mixer-group');
+    if (label) label.innerText = 'ABCD'[activeGroup];
+    const status = document.getElementById('mixer-status');
+    if (status) status.innerText = engine.mixer.map((s, g) => `${'ABCD'[g]}${s.solo ? 'S' : s.mute ? 'M' : ''}`).join(' ');
+    ['mute', 'solo'].forEach(k => {
+        const btn = document.getElementById(`mix-${k}-btn`);
+        if (btn) btn.classList.toggle('btn-toggle-on', strip[k]);
+    });
+
+    const port = document.getElementById('mix-port');
+    if (port) {
+        fill(port, [['', 'MAIN'], ...engine.listOutputs().map(o => [o.id, o.name])]);
+        port.value = engine.listOutputs().some(o => o.id === strip.port) ? strip.port : '';
+    }
+    const groove = document.getElementById('mix-groove');
+    if (groove) {
+        const entries = [...Object.entries(GROOVES), ...engine.grooves.map(gr => [gr.id, gr])];
+        fill(groove, [['none', 'SWING'], ...entries.map(([id, gr]) => [id, gr.name])]);
+        groove.value = strip.groove;
+    }
+    setVal('mix-channel', strip.channel ?? '');
+    setVal('mix-transpose', strip.transpose);
+    setVal('mix-vel', strip.velScale);
+    setVal('mix-swing', strip.swing ?? '');
+    setVal('mix-humanize', strip.humanize ?? '');
+}
 
-        const isKit = category.toUpperCase().includes('KIT') || (patterns[0] && patterns[0].type === 'multi');
+// --- SHARED NOTATION ---
+// A shared group lands in the group being edited; a shared project replaces all four.
+function loadNotation(text) {
+    const parsed = parseNotation(text);
+    const isGroup = parsed.scope === 'group';
+    const finish = beginGroupsEdit(isGroup ? 'SHARED GROUP' : 'SHARED PROJECT');
+    applyNotation(engine, parsed, { target: isGroup ? activeGroup : null });
+    commitEdit(finish());
+    parsed.warnings.forEach(w => log(`FIXED: ${w}`));
+    syncGlobalUI();
+    syncPadSettingsUI();
+    renderSteps();
+    log(isGroup ? `SHARED GROUP LOADED INTO ${'ABCD'[activeGroup]}` : 'SHARED PROJECT LOADED');
+}
 
-        if (isKit) ui.kitSel.appendChild(group);
-        else ui.padSel.appendChild(group);
+// The hash is dropped once read so a reload doesn't paste the beat over later edits.
+function loadFromHash() {
+    try {
+        const text = notationFromHash(window.location.hash);
+        if (!text) return;
+        loadNotation(text);
+        // Only a hash that was loaded goes; anything else is left for whoever put it there.
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    } catch (e) {
+        log(`ERR: SHARE ${e.message}`);
     }
+}
+
+function shareText() {
+    const scope = document.getElementById('share-scope').value;
+    return encodeNotation(engine, { group: scope === 'group' ? activeGroup : null });
+}
+
+// The text always lands in the share box too, for browsers that block clipboard writes.
+function copyToClipboard(text, what) {
+    document.getElementById('share-text').value = text;
+    if (!navigator.clipboard) return log(`${what} READY BELOW`);
+    navigator.clipboard.writeText(text).then(() => log(`${what} COPIED`), () => log(`${what} READY BELOW`));
+}
+
+function refreshProjectList() {
+    if (!ui.projectList) return;
+    ui.projectList.innerHTML = '<option value="">-- SAVED PROJECTS --</option>';
+    listProjects().forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.innerText = name;
+        ui.projectList.appendChild(opt);
+    });
+}
+
+function syncGlobalUI() {
+    const setVal = (id, val) => { const el = document.getElementById(id); if (el) el.value = val; };
+    setVal('tempo', engine.bpm);
+    setVal('swing-slider', engine.swing);
+    setVal('global-bars', engine.globalBars);
+    setVal('project-key', engine.key);
+    setVal('project-scale', engine.scale);
+    const humanBtn = document.getElementById('human-btn');
+    if (humanBtn) {
+        humanBtn.classList.toggle('btn-toggle-on', engine.humanize);
+        humanBtn.innerText = `HUMAN: ${engine.humanize ? 'ON' : 'OFF'}`;
+    }
+    const songBtn = document.getElementById('song-mode-btn');
+    if (songBtn) {
+        songBtn.classList.toggle('btn-toggle-on', engine.songMode);
+        songBtn.innerText = `SONG: ${engine.songMode ? 'ON' : 'OFF'}`;
+    }
+    const loopBtn = document.getElementById('loop-btn');
+    if (loopBtn) {
+        loopBtn.classList.toggle('btn-toggle-on', engine.loop);
+        loopBtn.innerText = `LOOP: ${engine.loop ? 'ON' : 'OFF'}`;
+    }
+}
+
+// --- POPULATE SPLIT MENUS ---
+// Kits and single patterns go to their own dropdowns by preset type; user categories sit
+// after the built-in ones.
+function populatePresets() {
+    if (!ui.kitSel || !ui.padSel) return;
+    
+    ui.kitSel.innerHTML = '<option value="">-- LOAD KIT --</option>';
+    ui.padSel.innerHTML = '<option value="">-- LOAD PATTERN --</option>';
+
+    presetCategories().forEach(({ category, user, presets }) => {
+        [[ui.kitSel, presets.filter(isMulti)], [ui.padSel, presets.filter(p => !isMulti(p))]].forEach(([sel, list]) => {
+            if (list.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = user ? `${category} (USER)` : category;
+            list.forEach(pat => {
+                const opt = document.createElement('option');
+                opt.value = JSON.stringify(pat);
+                opt.innerText = pat.name;
+                group.appendChild(opt);
+            });
+            sel.appendChild(group);
+        });
+    });
 
     ui.kitSel.onchange = (e) => {
         if (!e.target.value) return;
@@ -107,23 +492,198 @@ function populatePresets() {
     };
 }
 
+// A kit can land as saved or shifted so its first track starts on the selected pad,
+// wrapping past pad 12.
 function loadPreset(preset) {
     if (preset.type === "multi") {
-        for (const [idxStr, patStr] of Object.entries(preset.tracks)) {
-            const idx = parseInt(idxStr);
-            const cleanPat = patStr.replace(/\s/g, '');
-            for (let i = 0; i < 64; i++) engine.projectData[activeGroup][idx].notes[i] = cleanPat[i % cleanPat.length];
-        }
-        log(`KIT LOADED: ${preset.name}`);
+        const entries = Object.entries(preset.tracks).map(([idx, pat]) => [parseInt(idx, 10), pat]);
+        const fromSelected = document.getElementById('preset-kit-target')?.value === 'selected';
+        const shift = fromSelected ? selectedPad - Math.min(...entries.map(([idx]) => idx)) : 0;
+        editGroup(`KIT ${preset.name}`, group => {
+            entries.forEach(([idx, pat]) => writePattern(group[(idx + shift + 12) % 12], pat));
+        });
+        log(`KIT LOADED: ${preset.name}${shift ? ` AT PAD ${selectedPad + 1}` : ''}`);
     } else {
-        const pad = engine.projectData[activeGroup][selectedPad];
-        const cleanPat = preset.pat.replace(/\s/g, '');
-        for (let i = 0; i < 64; i++) pad.notes[i] = cleanPat[i % cleanPat.length];
+        editPad(`PATTERN ${preset.name}`, pad => writePattern(pad, preset.pat));
         log(`PATTERN LOADED: ${preset.name}`);
     }
+    syncPadSettingsUI();
     renderSteps();
 }
 
+// --- USER PRESETS ---
+function initPresetLibrary() {
+    const file = document.getElementById('preset-file');
+    if (file) {
+        file.onchange = async (e) => {
+            const f = e.target.files[0];
+            e.target.value = '';
+            if (!f) return;
+            try {
+                const res = importPack(await f.text());
+                refreshPresets();
+                log(`PRESETS IMPORTED: ${res.added}${res.skipped ? ` (${res.skipped} SKIPPED)` : ''}`);
+            } catch (err) {
+                log(`ERR: PRESETS ${err.message}`);
+            }
+        };
+    }
+    refreshPresets();
+}
+
+function refreshPresets() {
+    populatePresets();
+    renderPresetLibrary();
+}
+
+function presetMeta() {
+    const val = (id) => document.getElementById(id).value.trim();
+    return { name: val('preset-name'), category: val('preset-category'), tags: parseTags(val('preset-tags')) };
+}
+
+function visiblePresets() {
+    const search = document.getElementById('preset-search');
+    return searchPresets(listUserPresets(), search ? search.value : '');
+}
+
+function renderPresetLibrary() {
+    const list = document.getElementById('preset-list');
+    if (!list) return;
+    list.innerHTML = '';
+    const cats = document.getElementById('preset-categories');
+    if (cats) {
+        cats.innerHTML = '';
+        [...new Set(listUserPresets().map(p => p.category))].forEach(c => {
+            const opt = document.createElement('option');
+            opt.value = c;
+            cats.appendChild(opt);
+        });
+    }
+    visiblePresets().forEach(preset => {
+        const row = document.createElement('div');
+        row.className = 'preset-row';
+        row.innerHTML = `<input type="text" maxlength="32" title="RENAME">
+            <span></span>
+            <input type="text" placeholder="TAGS">
+            <button class="btn-small">LOAD</button>
+            <button class="btn-small">X</button>`;
+        const [name, tags] = row.querySelectorAll('input');
+        const [loadBtn, delBtn] = row.querySelectorAll('button');
+        row.querySelector('span').innerText = `${preset.category}${isMulti(preset) ? ' / KIT' : ''}`;
+        name.value = preset.name;
+        name.onchange = () => {
+            const renamed = updateUserPreset(preset.id, { name: name.value });
+            if (!renamed) return log("ERR: PRESET NEEDS A NAME");
+            refreshPresets();
+            log(`PRESET RENAMED: ${renamed.name}`);
+        };
+        tags.value = preset.tags.join(', ');
+        tags.onchange = () => { updateUserPreset(preset.id, { tags: parseTags(tags.value) }); renderPresetLibrary(); };
+        loadBtn.onclick = () => loadPreset(preset);
+        delBtn.onclick = () => { deleteUserPreset(preset.id); refreshPresets(); log(`PRESET DELETED: ${preset.name}`); };
+        list.appendChild(row);
+    });
+}
+
+// The pattern's own length becomes the pad length so odd-length presets phase instead of
+// being cut off at the bar; the tiled copy keeps the grid sensible if the length is raised later.
+function writePattern(pad, pat) {
+    const cleanPat = pat.replace(/\s/g, '');
+    pad.steps = clamp(cleanPat.length, 1, FIXED_STEPS);
+    for (let i = 0; i < FIXED_STEPS; i++) pad.notes[i] = cleanPat[i % cleanPat.length];
+}
+
+// --- GENERATOR ---
+function generatorValue(id, min, max) {
+    const el = document.getElementById(id);
+    const n = clamp(parseInt(el.value, 10) || 0, min, max);
+    el.value = n;
+    return n;
+}
+
+// A blank seed still gets a concrete one, logged so a lucky result can be regenerated.
+function generatorRng() {
+    const el = document.getElementById('gen-seed');
+    const seed = el.value.trim() || String(Math.floor(Math.random() * 100000));
+    log(`GEN SEED ${seed}`);
+    return createRng(seed);
+}
+
+function runGeneratorMode(mode) {
+    if (mode === 'euclid') {
+        const steps = generatorValue('gen-steps', 1, FIXED_STEPS);
+        return euclidPreset({
+            hits: generatorValue('gen-hits', 0, steps),
+            steps,
+            rotation: generatorValue('gen-rotate', 0, steps - 1)
+        });
+    }
+    const rng = generatorRng();
+    if (mode === 'mutate') {
+        const pad = engine.projectData[activeGroup][selectedPad];
+        const pat = mutatePattern(rng, pad.notes.slice(0, pad.steps).join(''), { amount: generatorValue('gen-amount', 1, 100) });
+        return { name: 'MUTATED', pat };
+    }
+    const opts = {
+        steps: generatorValue('gen-steps', 1, FIXED_STEPS),
+        density: generatorValue('gen-density', 0, 100),
+        accent: generatorValue('gen-accent', 0, 100)
+    };
+    return mode === 'kit' ? generateKit(rng, opts) : densityPreset(rng, opts);
+}
+
+// --- EDIT HISTORY & CLIPBOARD ---
+// Pad and group data change through these so each edit is one undo step. Edits sharing a key
+// (the same control, on the same pad) merge while they keep coming, so a slider drag undoes at once.
+function beginPadEdit(label, key = null, g = activeGroup, p = selectedPad) {
+    const { get, set } = padTarget(engine.projectData[g], p);
+    return snapshot(`${'ABCD'[g]}${p + 1} ${label}`, key && `${g}:${p}:${key}`, get, set);
+}
+
+function editPad(label, mutate, key = null, p = selectedPad) {
+    const finish = beginPadEdit(label, key, activeGroup, p);
+    mutate(engine.projectData[activeGroup][p]);
+    commitEdit(finish());
+}
+
+function editGroup(label, mutate, g = activeGroup) {
+    const group = engine.projectData[g];
+    const { get, set } = groupTarget(group);
+    const finish = snapshot(`${'ABCD'[g]} ${label}`, null, get, set);
+    mutate(group);
+    commitEdit(finish());
+}
+
+// Captures all four groups: a record take can land in any of them, a shared project in all.
+function beginGroupsEdit(label) {
+    const groups = [...engine.projectData];
+    return snapshot(label, null, () => groups, pads => groups.forEach((group, g) => groupTarget(group).set(pads[g])));
+}
+
+function commitEdit(cmd) {
+    edits.push(cmd);
+    syncEditUI();
+}
+
+function syncEditUI() {
+    const setDisabled = (id, off) => { const el = document.getElementById(id); if (el) el.disabled = off; };
+    setDisabled('undo-btn', !edits.canUndo);
+    setDisabled('redo-btn', !edits.canRedo);
+    setDisabled('paste-btn', !clipboard);
+}
+
+function handleEditKeys(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    const key = e.key.toLowerCase();
+    // Leave Ctrl+C alone while text (the LCD log) is selected.
+    if (key === 'c' && String(window.getSelection())) return;
+    const actions = { z: e.shiftKey ? window.redoEdit : window.undoEdit, y: window.redoEdit, c: window.copyEdit, v: window.pasteEdit, d: window.duplicateEdit };
+    if (!actions[key]) return;
+    e.preventDefault();
+    actions[key]();
+}
+
 // --- REST OF UI LOGIC ---
 
 function renderGroupTabs() {
@@ -134,6 +694,7 @@ function renderGroupTabs() {
             btn.onclick = () => {
                 activeGroup = i;
                 renderGroupTabs();
+                renderSlots();
                 syncPadSettingsUI();
                 renderSteps();
                 log(`GROUP ${['A', 'B', 'C', 'D'][i]} SELECTED`);
@@ -145,20 +706,148 @@ function renderGroupTabs() {
 function renderPads() {
     if (!ui.pads) return;
     ui.pads.innerHTML = '';
-    const legends = { 9: '7', 10: '8', 11: '9', 6: '4', 7: '5', 8: '6', 3: '1', 4: '2', 5: '3', 0: '', 1: '0', 2: 'ENTER' };
+    const legend = (idx) => keymap[`pad-${idx}`].map(displayKey).join(' ');
     const mapIdx = [9, 10, 11, 6, 7, 8, 3, 4, 5, 0, 1, 2];
     mapIdx.forEach(idx => {
         const btn = document.createElement('div');
         btn.className = 'pad-btn' + (idx === 0 ? ' pad-btn-sq' : '');
         btn.id = `pad-${idx}`;
         if (idx === selectedPad) btn.classList.add('active-pad');
-        btn.innerHTML = `<div class="legend-tag">${legends[idx]}</div>`;
+        btn.innerHTML = `<div class="legend-tag">${legend(idx)}</div>`;
         btn.onclick = () => selectPad(idx);
-        btn.onmousedown = (e) => { if (e.button === 0) triggerLivePad(idx); };
+        btn.onmousedown = (e) => { if (e.button === 0) performPad(idx, 110); };
         ui.pads.appendChild(btn);
     });
 }
 
+// --- PATTERN SLOTS & SONG ---
+function renderSlots() {
+    const row = document.getElementById('slot-row');
+    if (!row) return;
+    row.innerHTML = '';
+    document.getElementById('slot-group').innerText = 'ABCD'[activeGroup];
+    const slots = engine.banks[activeGroup];
+    for (let s = 0; s < PATTERN_SLOTS; s++) {
+        const btn = document.createElement('button');
+        btn.className = [
+            'slot-btn',
+            slots[s] ? '' : 'empty',
+            s === engine.active[activeGroup] ? 'active' : '',
+            s === engine.queued[activeGroup] ? 'queued' : ''
+        ].filter(Boolean).join(' ');
+        btn.innerText = s + 1;
+        btn.onclick = () => engine.queueSlot(activeGroup, s);
+        row.appendChild(btn);
+    }
+    const copySel = document.getElementById('slot-copy-target');
+    copySel.innerHTML = '<option value="">COPY TO...</option>';
+    for (let s = 0; s < PATTERN_SLOTS; s++) {
+        if (s === engine.active[activeGroup]) continue;
+        const opt = document.createElement('option');
+        opt.value = s;
+        opt.innerText = `${'ABCD'[activeGroup]}${s + 1}${slots[s] ? ' (OVERWRITE)' : ''}`;
+        copySel.appendChild(opt);
+    }
+}
+
+function songSlotsLabel(entry) {
+    return entry.slots.map((s, g) => `${'ABCD'[g]}${s === null ? '-' : s + 1}`).join(' ');
+}
+
+function renderSong() {
+    const list = document.getElementById('song-list');
+    if (!list) return;
+    list.innerHTML = '';
+    engine.song.forEach((entry, i) => {
+        const row = document.createElement('div');
+        const playing = engine.isPlaying && engine.songMode && engine.songPos.index === i && engine.songPos.repeat < entry.repeats;
+        row.className = `song-row ${playing ? 'playing' : ''}`;
+        row.innerHTML = `<span>${i + 1}</span>
+            <input type="text" maxlength="16" placeholder="SECTION">
+            <span>${songSlotsLabel(entry)}</span>
+            <input type="number" min="1" max="${MAX_REPEATS}" title="REPEATS">
+            <button class="btn-small" title="TAKE CURRENT SLOTS">SET</button>
+            <button class="btn-small">X</button>`;
+        const [name, repeats] = row.querySelectorAll('input');
+        const [setBtn, delBtn] = row.querySelectorAll('button');
+        name.value = entry.name;
+        name.onchange = () => { entry.name = name.value.trim().toUpperCase(); };
+        repeats.value = entry.repeats;
+        repeats.onchange = () => {
+            entry.repeats = clamp(parseInt(repeats.value, 10) || 1, 1, MAX_REPEATS);
+            repeats.value = entry.repeats;
+        };
+        setBtn.onclick = () => { entry.slots = [...engine.active]; renderSong(); };
+        delBtn.onclick = () => { engine.removeSongEntry(i); renderSong(); };
+        list.appendChild(row);
+    });
+}
+
+// --- PERFORM ---
+function renderPerform() {
+    const list = document.getElementById('perform-list');
+    if (!list) return;
+    list.innerHTML = '';
+    const slotOptions = (sel, none, current) => {
+        [['', none], ...Array.from({ length: PATTERN_SLOTS }, (_, s) => [s, `SLOT ${s + 1}`])].forEach(([value, text]) => {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.innerText = text;
+            sel.appendChild(opt);
+        });
+        sel.value = current ?? '';
+    };
+    engine.perform.forEach((perform, g) => {
+        const row = document.createElement('div');
+        row.className = 'perform-row';
+        row.innerHTML = `<span>${'ABCD'[g]}</span>
+            <button class="btn-small" title="A/B VARIATION"></button>
+            <select title="B VARIATION SLOT"></select>
+            <select title="FILL SLOT"></select>
+            <button class="btn-small">FILL</button>`;
+        const [varBtn, fillBtn] = row.querySelectorAll('button');
+        const [bSel, fillSel] = row.querySelectorAll('select');
+        const onB = engine.variation[g] === 'B';
+        varBtn.innerText = `${onB ? 'B' : 'A'}${engine.queued[g] !== null ? '…' : ''}`;
+        varBtn.classList.toggle('btn-toggle-on', onB);
+        varBtn.onclick = () => { engine.toggleVariation(g); renderPerform(); renderSlots(); };
+        slotOptions(bSel, 'B: NEXT SLOT', perform.bSlot);
+        bSel.onchange = () => { perform.bSlot = bSel.value === '' ? null : parseInt(bSel.value, 10); };
+        slotOptions(fillSel, 'FILL: STEPS', perform.fillSlot);
+        fillSel.onchange = () => { perform.fillSlot = fillSel.value === '' ? null : parseInt(fillSel.value, 10); };
+        const fill = engine.fills[g];
+        fillBtn.classList.toggle('btn-toggle-on', engine.fillActive(g));
+        fillBtn.classList.toggle('queued', !!fill && !engine.fillActive(g));
+        fillBtn.onclick = () => engine.triggerFill(g);
+        list.appendChild(row);
+    });
+    renderScenes();
+}
+
+function renderScenes() {
+    const list = document.getElementById('scene-list');
+    if (!list) return;
+    list.innerHTML = '';
+    engine.scenes.forEach((scene, i) => {
+        const row = document.createElement('div');
+        row.className = `song-row ${engine.sceneQueued === i ? 'playing' : ''}`;
+        row.innerHTML = `<span>${i + 1}</span>
+            <input type="text" maxlength="16" placeholder="SCENE">
+            <span>${songSlotsLabel(scene)}</span>
+            <button class="btn-small">GO</button>
+            <button class="btn-small" title="TAKE CURRENT STATE">SET</button>
+            <button class="btn-small">X</button>`;
+        const name = row.querySelector('input');
+        const [goBtn, setBtn, delBtn] = row.querySelectorAll('button');
+        name.value = scene.name;
+        name.onchange = () => { scene.name = name.value.trim().toUpperCase(); };
+        goBtn.onclick = () => { engine.recallScene(i); renderScenes(); };
+        setBtn.onclick = () => { engine.scenes[i] = engine.captureScene(scene.name); renderScenes(); log(`SCENE ${i + 1} STORED`); };
+        delBtn.onclick = () => { engine.removeScene(i); renderScenes(); };
+        list.appendChild(row);
+    });
+}
+
 function renderSteps() {
     if (!ui.grid) return;
     ui.grid.innerHTML = '';
@@ -166,15 +855,157 @@ function renderSteps() {
     for (let i = 0; i < FIXED_STEPS; i++) {
         const step = document.createElement('div');
         const val = padData.notes[i];
-        step.className = `step-box ${val !== 'O' ? 'on-' + val.toLowerCase() : ''}`;
-        step.innerText = val === 'O' ? '' : val;
-        step.onmousedown = () => {
+        const modified = padData.prob[i] < 100 || padData.cond[i] !== 'none' || padData.ratchet[i] > 1 || padData.nudge[i] !== 0;
+        step.className = [
+            'step-box',
+            val !== 'O' ? 'on-' + val.toLowerCase() : '',
+            i >= padData.steps ? 'step-off' : '',
+            i === selectedStep ? 'step-sel' : '',
+            modified ? 'step-mod' : ''
+        ].filter(Boolean).join(' ');
+        step.innerText = val === 'O' ? '' : val + (padData.ratchet[i] > 1 ? padData.ratchet[i] : '');
+        if (modified) step.title = `${padData.prob[i]}% ${padData.cond[i].toUpperCase()} x${padData.ratchet[i]} ${Math.round(padData.nudge[i] * 100)}%`;
+        step.oncontextmenu = (e) => {
+            e.preventDefault();
+            selectedStep = i;
+            renderSteps();
+        };
+        step.onmousedown = (e) => {
+            if (e.button !== 0) return;
             const cycle = ['O', 'X', 'Y', 'Z'];
-            padData.notes[i] = cycle[(cycle.indexOf(val) + 1) % cycle.length];
+            editPad(`STEP ${i + 1}`, pad => { pad.notes[i] = cycle[(cycle.indexOf(val) + 1) % cycle.length]; });
             renderSteps();
         };
         ui.grid.appendChild(step);
     }
+    syncStepInspector();
+    renderLane();
+}
+
+// --- STEP INSPECTOR ---
+function initStepInspector() {
+    const sel = document.getElementById('step-cond');
+    if (!sel) return;
+    sel.innerHTML = '';
+    STEP_CONDITIONS.forEach(c => {
+        const opt = document.createElement('option');
+        opt.value = c;
+        opt.innerText = c.toUpperCase();
+        sel.appendChild(opt);
+    });
+}
+
+function syncStepInspector() {
+    const pad = engine.projectData[activeGroup][selectedPad];
+    const num = document.getElementById('step-num');
+    if (!num) return;
+    num.innerText = selectedStep + 1;
+    document.getElementById('step-prob').value = pad.prob[selectedStep];
+    document.getElementById('step-cond').value = pad.cond[selectedStep];
+    document.getElementById('step-ratchet').value = pad.ratchet[selectedStep];
+    document.getElementById('step-nudge').value = Math.round(pad.nudge[selectedStep] * 100);
+}
+
+// --- AUTOMATION LANE EDITOR ---
+function currentLane() {
+    const pad = engine.projectData[activeGroup][selectedPad];
+    selectedLane = clamp(selectedLane, 0, pad.lanes.length - 1);
+    return pad.lanes[selectedLane];
+}
+
+function initLaneEditor() {
+    if (!ui.lane) return;
+    let drawing = false;
+    const pointAt = (e) => {
+        const r = ui.lane.getBoundingClientRect();
+        const step = clamp(Math.floor(((e.clientX - r.left) / r.width) * FIXED_STEPS), 0, FIXED_STEPS - 1);
+        const value = clamp(Math.round((1 - (e.clientY - r.top) / r.height) * 127), 0, 127);
+        return { step, value };
+    };
+    // A whole stroke is one undo step: the pad is captured on press and committed on release.
+    let finish = null;
+    ui.lane.onmousedown = (e) => {
+        e.preventDefault();
+        drawing = laneTool === 'draw' || laneTool === 'erase';
+        finish = beginPadEdit(`LANE ${laneTool.toUpperCase()}`);
+        applyLaneTool(pointAt(e));
+        if (!drawing) { commitEdit(finish()); finish = null; }
+    };
+    ui.lane.onmousemove = (e) => { if (drawing) applyLaneTool(pointAt(e)); };
+    window.addEventListener('mouseup', () => {
+        drawing = false;
+        if (finish) { commitEdit(finish()); finish = null; }
+    });
+}
+
+function applyLaneTool({ step, value }) {
+    const lane = currentLane();
+    const barStart = step - (step % 16);
+    if (laneTool === 'draw') lane.values[step] = value;
+    else if (laneTool === 'erase') lane.values[step] = null;
+    else if (laneTool === 'line') {
+        if (!lineStart) {
+            lineStart = { step, value };
+            lane.values[step] = value;
+        } else {
+            const [a, b] = lineStart.step <= step ? [lineStart, { step, value }] : [{ step, value }, lineStart];
+            for (let i = a.step; i <= b.step; i++) {
+                lane.values[i] = b.step === a.step ? b.value : Math.round(a.value + (b.value - a.value) * (i - a.step) / (b.step - a.step));
+            }
+            lineStart = null;
+        }
+    } else if (laneTool === 'ramp') {
+        for (let i = 0; i < 16; i++) lane.values[barStart + i] = Math.round((value * i) / 15);
+    } else if (laneTool === 'random') {
+        for (let i = 0; i < 16; i++) lane.values[barStart + i] = Math.floor(engine.random() * (value + 1));
+    }
+    renderLane();
+}
+
+function renderLane() {
+    if (!ui.lane) return;
+    const pad = engine.projectData[activeGroup][selectedPad];
+    const lane = currentLane();
+    ui.lane.innerHTML = '';
+    for (let i = 0; i < FIXED_STEPS; i++) {
+        const bar = document.createElement('div');
+        const explicit = lane.values[i];
+        const v = laneValueAt(lane, i);
+        bar.className = 'lane-bar' + (explicit === null ? (v === null ? ' lane-empty' : ' lane-interp') : '');
+        if (lineStart && lineStart.step === i) bar.classList.add('lane-anchor');
+        bar.style.setProperty('--level', `${((v ?? 0) / 127) * 100}%`);
+        ui.lane.appendChild(bar);
+    }
+
+    const sel = document.getElementById('lane-select');
+    if (sel) {
+        sel.innerHTML = '';
+        pad.lanes.forEach((l, i) => {
+            const opt = document.createElement('option');
+            opt.value = i;
+            opt.innerText = `LANE ${i + 1}: ${laneLabel(l)}`;
+            sel.appendChild(opt);
+        });
+        sel.value = selectedLane;
+    }
+    const setVal = (id, val) => { const el = document.getElementById(id); if (el) el.value = val; };
+    setVal('lane-target', lane.target);
+    setVal('lane-cc', lane.cc);
+    setVal('lane-tool', laneTool);
+    const ccInput = document.getElementById('lane-cc');
+    if (ccInput) ccInput.disabled = lane.target !== 'cc';
+    const interpBtn = document.getElementById('lane-interp-btn');
+    if (interpBtn) {
+        interpBtn.classList.toggle('btn-toggle-on', lane.interp);
+        interpBtn.innerText = `INTERP: ${lane.interp ? 'ON' : 'OFF'}`;
+    }
+}
+
+function laneLabel(lane) {
+    if (lane.target === 'pitchbend') return 'PITCH BEND';
+    if (lane.target === 'program') return 'PROGRAM';
+    const name = engine.profile.ccs[lane.cc];
+    return `CC ${lane.cc}${name ? ` ${name}` : ''}`;
 }
 
 function selectPad(idx) {
@@ -188,26 +1019,126 @@ function selectPad(idx) {
     renderSteps();
 }
 
-function triggerLivePad(padIdx) {
+function triggerLivePad(padIdx, vel = 110) {
     const pad = engine.projectData[activeGroup][padIdx];
-    const chan = activeGroup;
-    if (engine.midiOut) {
-        if (pad.mode === 'chord') engine.triggerChord(pad, chan, 110, 0x90+chan, 0x80+chan, performance.now());
-        else engine.sendMidiNote(chan, pad.midiNote, 110, pad.gateMs, performance.now());
+    const strip = engine.mixer[activeGroup];
+    const chan = engine.channelFor(activeGroup);
+    const out = engine.outputFor(activeGroup);
+    const level = clamp(Math.round(vel * strip.velScale / 100), 1, 127);
+    if (out && strip.velScale > 0) {
+        if (pad.mode === 'chord') {
+            const chord = engine.chordAt(pad);
+            const harmony = { ...chord, root: chord.root + strip.transpose };
+            engine.triggerChord(pad, chan, level, 0x90+chan, 0x80+chan, engine.clock.now(), pad.gateMs, harmony, null, out);
+        } else {
+            engine.sendMidiNote(chan, pad.midiNote, level, pad.gateMs, engine.clock.now(), out);
+        }
     }
     flashPad(padIdx);
 }
 
-function toggleTransport() {
-    if (engine.isPlaying) {
-        engine.stop();
-        document.getElementById('transport-btn').innerText = "TX: START";
-        document.getElementById('transport-btn').classList.remove('btn-toggle-on');
-    } else {
-        engine.start();
-        document.getElementById('transport-btn').innerText = "TX: STOP";
-        document.getElementById('transport-btn').classList.add('btn-toggle-on');
+// --- LIVE PERFORMANCE / RECORDING ---
+// A performed hit (pad click, keypad key, controller note) sounds and, when armed, lands in the grid.
+function performPad(padIdx, vel, hitTime = undefined, thru = true) {
+    if (thru) triggerLivePad(padIdx, vel);
+    else flashPad(padIdx);
+    const rec = engine.recordHit(activeGroup, padIdx, vel, hitTime);
+    if (rec && padIdx === selectedPad) renderSteps();
+}
+
+// --- COMPUTER KEYBOARD ---
+// Only the cursor keys auto-repeat; a held pad key shouldn't machine-gun the pad.
+function handleKeys(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    const key = keyName(e);
+    if (bindingAction) {
+        e.preventDefault();
+        return finishKeyBind(key);
     }
+    const action = keyLookup.get(key);
+    if (!action || (e.repeat && !action.startsWith('cursor-'))) return;
+    e.preventDefault();
+    runKeyAction(action);
+}
+
+function runKeyAction(action) {
+    const [kind, arg] = action.split('-');
+    if (kind === 'pad') performPad(parseInt(arg, 10), 110);
+    else if (kind === 'group') window.selectGroup(parseInt(arg, 10));
+    else if (kind === 'cursor') moveStepCursor({ left: -1, right: 1, up: -16, down: 16 }[arg]);
+    else if (kind === 'step') enterStep(arg);
+    else if (kind === 'transport') toggleTransport();
+    else if (kind === 'panic') stopTransport(true);
+}
+
+function moveStepCursor(delta) {
+    selectedStep = (selectedStep + delta + FIXED_STEPS) % FIXED_STEPS;
+    renderSteps();
+}
+
+// Typing a value writes it under the cursor and moves on, like step entry on the hardware.
+function enterStep(val) {
+    editPad(`STEP ${selectedStep + 1}`, pad => { pad.notes[selectedStep] = val; });
+    moveStepCursor(1);
+}
+
+function renderKeymap() {
+    const list = document.getElementById('keymap-list');
+    if (!list) return;
+    list.innerHTML = '';
+    KEY_ACTIONS.forEach(({ id, label }) => {
+        const row = document.createElement('div');
+        row.className = 'keymap-row';
+        const keys = keymap[id].map(displayKey).join(' / ') || '—';
+        row.innerHTML = `<span>${label}</span><span class="keymap-keys">${keys}</span>`;
+        const btn = document.createElement('button');
+        btn.className = 'btn-small' + (bindingAction === id ? ' btn-toggle-on' : '');
+        btn.innerText = bindingAction === id ? 'PRESS KEY' : 'SET';
+        btn.onclick = () => { bindingAction = bindingAction === id ? null : id; renderKeymap(); };
+        row.appendChild(btn);
+        list.appendChild(row);
+    });
+}
+
+function finishKeyBind(key) {
+    const action = bindingAction;
+    bindingAction = null;
+    const stolen = bindKey(keymap, action, key);
+    keyLookup = keyIndex(keymap);
+    saveKeymap(keymap);
+    renderKeymap();
+    renderPads();
+    const label = (id) => KEY_ACTIONS.find(a => a.id === id).label;
+    log(`KEY ${displayKey(key)}: ${label(action)}${stolen ? ` (WAS ${label(stolen)})` : ''}`);
+}
+
+function handleMidiNoteIn(data, timeStamp) {
+    const type = data[0] & 0xF0;
+    if (type !== 0x90 || data[2] === 0) return;
+    const padIdx = engine.projectData[activeGroup].findIndex(pad => pad.midiNote === data[1]);
+    if (padIdx < 0) return;
+    const hitTime = engine.clock.currentTime + (timeStamp - engine.clock.now()) / 1000;
+    // Don't echo a note back to the device it came from.
+    const thru = !engine.midiPort || !engine.midiIn || engine.midiPort.name !== engine.midiIn.name;
+    performPad(padIdx, data[2], hitTime, thru);
+}
+
+function toggleTransport() {
+    if (engine.syncMode === 'external' && !engine.isPlaying) return engine.start();
+    if (engine.isPlaying) return stopTransport();
+    engine.start();
+    document.getElementById('transport-btn').innerText = "TX: STOP";
+    document.getElementById('transport-btn').classList.add('btn-toggle-on');
+    renderSong();
+}
+
+function stopTransport(panic = false) {
+    if (panic) engine.panic();
+    else engine.stop();
+    document.getElementById('transport-btn').innerText = "TX: START";
+    document.getElementById('transport-btn').classList.remove('btn-toggle-on');
+    renderSong();
 }
 
 function flashPad(padIdx) {
@@ -218,10 +1149,16 @@ function flashPad(padIdx) {
     }
 }
 
+// Messages carry names and tokens from shared links and imported files, so they go in as text, never markup.
 function log(msg) {
     if (!ui.lcd) return;
-    const t = new Date().toLocaleTimeString().split(' ')[0];
-    ui.lcd.innerHTML = `<div class="log-entry"><span style="opacity:0.5; margin-right:5px;">${t}</span>${msg}</div>` + ui.lcd.innerHTML;
+    const entry = document.createElement('div');
+    const time = document.createElement('span');
+    entry.className = 'log-entry';
+    time.style.cssText = 'opacity:0.5; margin-right:5px;';
+    time.textContent = new Date().toLocaleTimeString().split(' ')[0];
+    entry.append(time, String(msg));
+    ui.lcd.prepend(entry);
 }
 
 function syncPadSettingsUI() {
@@ -232,7 +1169,8 @@ function syncPadSettingsUI() {
     setVal('pad-vel-mode', pad.velMode);
     setVal('pad-vel-a', pad.velA);
     setVal('pad-vel-b', pad.velB);
-    setVal('pad-auto-cc', pad.autoTargetCC);
+    setVal('pad-steps', pad.steps);
+    setVal('pad-rate', pad.rate);
     setVal('chord-root', pad.chord.root);
     setVal('chord-oct', pad.chord.oct);
     setVal('chord-quality', pad.chord.quality);
@@ -240,6 +1178,22 @@ function syncPadSettingsUI() {
     setVal('chord-inv', pad.chord.inv);
     setVal('chord-voice', pad.chord.voice);
     setVal('chord-flux', pad.chord.flux);
+    setVal('chord-prog', formatProgression(pad.chord.prog, engine.key, engine.scale));
+    setVal('chord-advance', pad.chord.advance);
+    setVal('chord-strum-dir', pad.chord.strum.dir);
+    setVal('chord-strum-ms', pad.chord.strum.ms);
+    setVal('arp-mode', pad.chord.arp.mode);
+    setVal('arp-rate', pad.chord.arp.rate);
+    setVal('arp-octaves', pad.chord.arp.octaves);
+    setVal('arp-hold', pad.chord.arp.hold);
+    setVal('arp-gate', pad.chord.arp.gate);
+    setVal('arp-swing', pad.chord.arp.swing);
+    const leadBtn = document.getElementById('chord-lead-btn');
+    if (leadBtn) {
+        leadBtn.classList.toggle('btn-toggle-on', pad.chord.lead);
+        leadBtn.innerText = `VOICE LEAD: ${pad.chord.lead ? 'ON' : 'OFF'}`;
+    }
+    updateChordReadout();
     const muteBtn = document.getElementById('pad-mute-btn');
     if (muteBtn) {
         muteBtn.classList.toggle('btn-toggle-on', pad.muted);
@@ -255,21 +1209,66 @@ function syncPadSettingsUI() {
 }
 
 function updateChordRoot(noteIndex) {
+    editPad('ROOT', p => { p.chord.root = noteIndex; }, 'root');
     const pad = engine.projectData[activeGroup][selectedPad];
-    pad.chord.root = noteIndex;
     if (ui.chordRoot) ui.chordRoot.value = noteIndex;
     updatePianoVisuals(pad.chord);
+    updateChordReadout();
     triggerLivePad(selectedPad);
 }
 
+// --- KEY & PROGRESSION ---
+function initKeyControls() {
+    const keySel = document.getElementById('project-key');
+    const scaleSel = document.getElementById('project-scale');
+    if (!keySel || !scaleSel) return;
+    keySel.innerHTML = NOTE_NAMES.map((n, i) => `<option value="${i}">${n}</option>`).join('');
+    scaleSel.innerHTML = Object.entries(SCALES).map(([id, s]) => `<option value="${id}">${s.name}</option>`).join('');
+    keySel.value = engine.key;
+    scaleSel.value = engine.scale;
+}
+
+function updateChordReadout() {
+    const el = document.getElementById('chord-name');
+    if (!el) return;
+    const c = engine.projectData[activeGroup][selectedPad].chord;
+    if (c.prog.length === 0) {
+        el.innerText = chordName(c.root, c.quality, c.ext);
+        return;
+    }
+    const names = c.prog.map(d => {
+        const h = diatonicChord(engine.key, engine.scale, d, c.ext);
+        return chordName(h.root, h.quality, c.ext);
+    });
+    el.innerText = `${NOTE_NAMES[engine.key]} ${SCALES[engine.scale].name}: ${names.join(' ')}`;
+}
+
 function updatePianoVisuals(chordData) {
     const root = chordData.root;
+
     document.querySelectorAll('.kb-key').forEach(k => {
         k.classList.remove('is-root');
         if (parseInt(k.getAttribute('data-note')) === root) k.classList.add('is-root');
     });
 }
 
+function initTiming() {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem('oxo_timing')); } catch (e) { saved = null; }
+    if (saved) engine.setTiming(saved);
+    const setVal = (id, val) => { const el = document.getElementById(id); if (el) el.value = val; };
+    setVal('timing-lookahead', Math.round(engine.scheduleAheadTime * 1000));
+    setVal('timing-interval', engine.tickInterval);
+}
+
+function syncRecordUI() {
+    const btn = document.getElementById('rec-btn');
+    if (btn) {
+        btn.classList.toggle('btn-toggle-on', engine.record.armed);
+        btn.innerText = `REC: ${engine.record.armed ? 'ON' : 'OFF'}`;
+    }
+}
+
 function initTheme() {
     const saved = localStorage.getItem('oxo_theme') || 'auto';
     if (ui.themeSel) ui.themeSel.value = saved;
@@ -281,30 +1280,382 @@ function applyTheme(t) {
     if (t !== 'auto') document.body.classList.add(`theme-${t}`);
 }
 
-window.selectGroup = (idx) => { activeGroup = idx; renderGroupTabs(); selectPad(selectedPad); log(`GROUP ${['A','B','C','D'][idx]} SELECTED`); };
+window.selectGroup = (idx) => { activeGroup = idx; renderGroupTabs(); selectPad(selectedPad); syncMixerUI(); log(`GROUP ${['A','B','C','D'][idx]} SELECTED`); };
 window.selectPad = (idx) => selectPad(idx);
 window.toggleLayout = () => document.getElementById('app-chassis').classList.toggle('skinny-mode');
 window.toggleDark = () => { document.body.classList.toggle('dark-mode'); localStorage.setItem('oxo_dark', document.body.classList.contains('dark-mode')); };
 window.setThemeOverride = (val) => { localStorage.setItem('oxo_theme', val); applyTheme(val); };
 window.initAudioAndMIDI = () => initEngine();
 window.updatePadPerfFromUI = () => {
-    const pad = engine.projectData[activeGroup][selectedPad];
-    pad.midiNote = parseInt(document.getElementById('pad-midi-note').value, 10);
-    pad.gateMs = parseInt(document.getElementById('pad-gate-ms').value, 10);
-    pad.velMode = document.getElementById('pad-vel-mode').value;
-    pad.velA = parseInt(document.getElementById('pad-vel-a').value, 10);
-    pad.velB = parseInt(document.getElementById('pad-vel-b').value, 10);
-    pad.autoTargetCC = parseInt(document.getElementById('pad-auto-cc').value, 10);
-    document.getElementById('pad-note-preview').innerText = pad.midiNote;
-};
-window.togglePadMute = () => { const pad = engine.projectData[activeGroup][selectedPad]; pad.muted = !pad.muted; syncPadSettingsUI(); };
+    editPad('PAD SETTINGS', pad => {
+        pad.midiNote = parseInt(document.getElementById('pad-midi-note').value, 10);
+        pad.gateMs = parseInt(document.getElementById('pad-gate-ms').value, 10);
+        pad.velMode = document.getElementById('pad-vel-mode').value;
+        pad.velA = parseInt(document.getElementById('pad-vel-a').value, 10);
+        pad.velB = parseInt(document.getElementById('pad-vel-b').value, 10);
+        document.getElementById('pad-note-preview').innerText = pad.midiNote;
+    }, 'perf');
+};
+window.updatePadLengthFromUI = () => {
+    editPad('LENGTH', pad => {
+        pad.steps = clamp(parseInt(document.getElementById('pad-steps').value, 10) || FIXED_STEPS, 1, FIXED_STEPS);
+        pad.rate = document.getElementById('pad-rate').value;
+    }, 'length');
+    syncPadSettingsUI();
+    renderSteps();
+};
+window.updateStepFromUI = () => {
+    editPad(`STEP ${selectedStep + 1} SETTINGS`, pad => {
+        pad.prob[selectedStep] = clamp(parseInt(document.getElementById('step-prob').value, 10) || 0, 0, 100);
+        pad.cond[selectedStep] = document.getElementById('step-cond').value;
+        pad.ratchet[selectedStep] = parseInt(document.getElementById('step-ratchet').value, 10) || 1;
+        pad.nudge[selectedStep] = clamp((parseInt(document.getElementById('step-nudge').value, 10) || 0) / 100, -0.5, 0.5);
+    }, `step${selectedStep}`);
+    renderSteps();
+};
+window.togglePadMute = () => { editPad('MUTE', pad => { pad.muted = !pad.muted; }); syncPadSettingsUI(); };
 window.resetPadPerf = () => {
+    editPad('RESET', pad => {
+        pad.midiNote = engine.profile.padNotes[selectedPad]; pad.gateMs = 100; pad.velMode = 'xyz'; pad.velA = 110; pad.velB = 125; pad.muted = false;
+    });
+    syncPadSettingsUI();
+};
+window.updateTimingFromUI = () => {
+    const lookaheadMs = parseInt(document.getElementById('timing-lookahead').value, 10) || 100;
+    const intervalMs = parseInt(document.getElementById('timing-interval').value, 10) || 25;
+    engine.setTiming({ lookaheadMs, intervalMs });
+    localStorage.setItem('oxo_timing', JSON.stringify({ lookaheadMs, intervalMs }));
+    log(`TIMING: LOOKAHEAD ${Math.round(engine.scheduleAheadTime * 1000)}MS TICK ${engine.tickInterval}MS`);
+};
+window.selectLane = (idx) => { selectedLane = parseInt(idx, 10) || 0; lineStart = null; renderLane(); };
+window.setLaneTool = (tool) => { laneTool = tool; lineStart = null; renderLane(); };
+window.updateLaneFromUI = () => {
+    editPad('LANE TARGET', () => {
+        const lane = currentLane();
+        lane.target = document.getElementById('lane-target').value;
+        lane.cc = clamp(parseInt(document.getElementById('lane-cc').value, 10) || 0, 0, 127);
+    });
+    renderLane();
+};
+window.toggleLaneInterp = () => { editPad('LANE INTERP', () => { const lane = currentLane(); lane.interp = !lane.interp; }); renderLane(); };
+window.addLane = () => {
+    const pad = engine.projectData[activeGroup][selectedPad];
+    if (pad.lanes.length >= MAX_LANES) return log(`ERR: MAX ${MAX_LANES} LANES`);
+    editPad('ADD LANE', p => p.lanes.push(createLane()));
+    selectedLane = pad.lanes.length - 1;
+    renderLane();
+};
+window.removeLane = () => {
     const pad = engine.projectData[activeGroup][selectedPad];
-    pad.midiNote = 36 + selectedPad; pad.gateMs = 100; pad.velMode = 'xyz'; pad.velA = 110; pad.velB = 125; pad.muted = false; syncPadSettingsUI();
+    if (pad.lanes.length <= 1) return window.clearLane();
+    editPad('REMOVE LANE', p => p.lanes.splice(selectedLane, 1));
+    renderLane();
 };
-window.setPadMode = (mode) => { const pad = engine.projectData[activeGroup][selectedPad]; pad.mode = mode; syncPadSettingsUI(); };
-window.shiftOctave = (dir) => { const pad = engine.projectData[activeGroup][selectedPad]; pad.chord.oct = clamp(pad.chord.oct + dir, 1, 6); syncPadSettingsUI(); };
+window.clearLane = () => { editPad('CLEAR LANE', () => currentLane().values.fill(null)); lineStart = null; renderLane(); };
+window.setSyncMode = (mode) => engine.setSyncMode(mode);
+window.toggleRecord = () => {
+    engine.setRecord({ armed: !engine.record.armed });
+    if (engine.record.armed) recordEdit = beginGroupsEdit('RECORD');
+    else if (recordEdit) { commitEdit(recordEdit()); recordEdit = null; }
+    syncRecordUI();
+    log(engine.record.armed ? `REC ARMED (${engine.record.mode.toUpperCase()})` : "REC OFF");
+};
+window.updateRecordFromUI = () => {
+    engine.setRecord({
+        mode: document.getElementById('rec-mode').value,
+        strength: parseInt(document.getElementById('rec-strength').value, 10) || 0
+    });
+};
+window.selectMidiInput = (id) => { engine.selectInput(id); savePorts(); };
+window.selectOutputMode = (mode) => { engine.setOutputMode(mode); savePorts(); };
+window.selectMidiOutput = (id) => { engine.selectOutput(id); savePorts(); syncProfileUI(); syncPadSettingsUI(); };
+window.selectProfile = (id) => { engine.setProfile(id); savePorts(); syncProfileUI(); syncPadSettingsUI(); };
+window.setPadMode = (mode) => { editPad('MODE', pad => { pad.mode = mode; }); syncPadSettingsUI(); };
+window.shiftOctave = (dir) => { editPad('OCTAVE', pad => { pad.chord.oct = clamp(pad.chord.oct + dir, 1, 6); }, 'octave'); syncPadSettingsUI(); };
 window.updateChordSettings = () => {
+    editPad('CHORD', readChordSettings, 'chord');
     const pad = engine.projectData[activeGroup][selectedPad];
+    document.getElementById('chord-prog').value = formatProgression(pad.chord.prog, engine.key, engine.scale);
+    updateChordReadout();
+    if (pad.mode === 'chord') triggerLivePad(selectedPad);
+};
+function readChordSettings(pad) {
     pad.chord.quality = document.getElementById('chord-quality').value;
-    pad.chord.ext = document.getElementById('
+    pad.chord.ext = document.getElementById('chord-ext').value;
+    pad.chord.inv = parseInt(document.getElementById('chord-inv').value, 10);
+    pad.chord.voice = document.getElementById('chord-voice').value;
+    pad.chord.flux = parseInt(document.getElementById('chord-flux').value, 10);
+    pad.chord.prog = parseProgression(document.getElementById('chord-prog').value);
+    pad.chord.advance = document.getElementById('chord-advance').value;
+    const num = (id, min, max, fallback) => clamp(parseInt(document.getElementById(id).value, 10) || fallback, min, max);
+    pad.chord.strum = { dir: document.getElementById('chord-strum-dir').value, ms: num('chord-strum-ms', 0, 200, 0) };
+    pad.chord.arp = {
+        mode: document.getElementById('arp-mode').value,
+        rate: document.getElementById('arp-rate').value,
+        octaves: num('arp-octaves', 1, 4, 1),
+        hold: num('arp-hold', 1, FIXED_STEPS, 4),
+        gate: num('arp-gate', 5, 100, 50),
+        swing: num('arp-swing', 0, 75, 0)
+    };
+}
+window.toggleVoiceLead = () => {
+    editPad('VOICE LEAD', pad => { pad.chord.lead = !pad.chord.lead; });
+    syncPadSettingsUI();
+};
+window.updateKeyFromUI = () => {
+    engine.key = parseInt(document.getElementById('project-key').value, 10);
+    engine.scale = document.getElementById('project-scale').value;
+    syncPadSettingsUI();
+    log(`KEY: ${NOTE_NAMES[engine.key]} ${SCALES[engine.scale].name}`);
+};
+window.clearCurrentPad = () => { editPad('CLEAR', pad => pad.notes.fill('O')); renderSteps(); };
+window.toggleHuman = () => {
+    engine.humanize = !engine.humanize;
+    syncGlobalUI();
+};
+window.toggleCountIn = () => {
+    engine.countIn = !engine.countIn;
+    const btn = document.getElementById('count-btn');
+    btn.classList.toggle('btn-toggle-on', engine.countIn);
+    btn.innerText = `COUNT: ${engine.countIn ? 'ON' : 'OFF'}`;
+};
+window.triggerFill = (g) => {
+    engine.triggerFill(g);
+    renderPerform();
+};
+window.addScene = () => {
+    if (engine.scenes.length >= MAX_SCENES) return log(`ERR: ${MAX_SCENES} SCENES MAX`);
+    engine.scenes.push(engine.captureScene());
+    renderScenes();
+    log(`SCENE ${engine.scenes.length} STORED`);
+};
+window.setFill = (on) => {
+    engine.fill = on;
+    document.getElementById('fill-btn').classList.toggle('btn-toggle-on', on);
+};
+window.copySlotTo = (value) => {
+    if (value === '') return;
+    const to = parseInt(value, 10);
+    const g = activeGroup;
+    const bank = engine.banks[g];
+    // Undoing into a slot that was unused leaves a blank group if it has since been selected.
+    const finish = snapshot(`${'ABCD'[g]}${to + 1} SLOT COPY`, null, () => bank[to], (pads) => {
+        bank[to] = pads || (engine.active[g] === to ? createGroup(engine.profile.padNotes) : null);
+        if (engine.active[g] === to) engine.projectData[g] = bank[to];
+    });
+    engine.copySlot(g, engine.active[g], to);
+    commitEdit(finish());
+    renderSlots();
+    log(`COPIED ${'ABCD'[activeGroup]}${engine.active[activeGroup] + 1} TO ${'ABCD'[activeGroup]}${to + 1}`);
+};
+window.addSongEntry = () => {
+    engine.song.push(createSongEntry(engine.active));
+    renderSong();
+};
+window.toggleSongMode = () => {
+    engine.songMode = !engine.songMode;
+    syncGlobalUI();
+    log(engine.songMode ? `SONG MODE: ${engine.songBars()} BARS` : 'PATTERN MODE');
+};
+window.toggleLoop = () => {
+    engine.loop = !engine.loop;
+    syncGlobalUI();
+};
+window.resetKeymap = () => {
+    keymap = resetKeymap();
+    keyLookup = keyIndex(keymap);
+    bindingAction = null;
+    renderKeymap();
+    renderPads();
+    log("KEYMAP RESET");
+};
+window.syncGeneratorUI = () => {
+    const mode = document.getElementById('gen-mode').value;
+    document.querySelectorAll('#generator [data-gen]').forEach(el => {
+        el.style.display = el.dataset.gen.split(' ').includes(mode) ? '' : 'none';
+    });
+};
+window.runGenerator = () => loadPreset(runGeneratorMode(document.getElementById('gen-mode').value));
+window.undoEdit = () => {
+    const cmd = edits.undo();
+    if (!cmd) return log("ERR: NOTHING TO UNDO");
+    refreshAfterHistory();
+    log(`UNDO: ${cmd.label}`);
+};
+window.redoEdit = () => {
+    const cmd = edits.redo();
+    if (!cmd) return log("ERR: NOTHING TO REDO");
+    refreshAfterHistory();
+    log(`REDO: ${cmd.label}`);
+};
+function refreshAfterHistory() {
+    syncEditUI();
+    syncPadSettingsUI();
+    renderSteps();
+    renderSlots();
+}
+window.setClipScope = (scope) => { clipScope = scope; };
+window.copyEdit = () => {
+    clipboard = copyFrom(clipScope, engine.projectData[activeGroup], selectedPad);
+    syncEditUI();
+    log(`COPIED ${clipScope.toUpperCase()} ${'ABCD'[activeGroup]}${clipScope === 'group' ? '' : selectedPad + 1}`);
+};
+window.pasteEdit = () => {
+    if (!clipboard) return log("ERR: CLIPBOARD EMPTY");
+    const label = `PASTE ${clipboard.scope.toUpperCase()}`;
+    if (clipboard.scope === 'group') editGroup(label, group => pasteInto(clipboard, group, 0));
+    else editPad(label, () => pasteInto(clipboard, engine.projectData[activeGroup], selectedPad));
+    syncPadSettingsUI();
+    renderSteps();
+    log(label);
+};
+// Copies straight into the next pad (or group) and moves there, leaving the clipboard alone.
+window.duplicateEdit = () => {
+    const source = copyFrom(clipScope, engine.projectData[activeGroup], selectedPad);
+    if (clipScope === 'group') {
+        const to = (activeGroup + 1) % 4;
+        editGroup(`DUP FROM ${'ABCD'[activeGroup]}`, group => pasteInto(source, group, 0), to);
+        return window.selectGroup(to);
+    }
+    const to = (selectedPad + 1) % 12;
+    editPad(`DUP ${clipScope.toUpperCase()} FROM ${selectedPad + 1}`, () => pasteInto(source, engine.projectData[activeGroup], to), null, to);
+    selectPad(to);
+    log(`DUPLICATED ${clipScope.toUpperCase()} TO PAD ${to + 1}`);
+};
+window.handleInject = () => engine.handleInject();
+window.stopSequencer = () => stopTransport(true);
+
+// --- PROJECT FILES ---
+window.saveProject = () => {
+    const name = ui.projectName.value.trim().toUpperCase();
+    if (!name) return log("ERR: NAME THE PROJECT");
+    projectName = name;
+    try {
+        saveProjectAs(engine, name);
+    } catch (e) {
+        return log(`ERR: SAVE ${e.message}`);
+    }
+    refreshProjectList();
+    log(`SAVED: ${name}`);
+};
+window.loadProject = () => {
+    const name = ui.projectList.value;
+    if (!name) return;
+    openProject(loadProjectByName(name));
+};
+window.deleteProjectEntry = () => {
+    const name = ui.projectList.value;
+    if (!name) return;
+    deleteProject(name);
+    refreshProjectList();
+    log(`DELETED: ${name}`);
+};
+function fileSlug() {
+    return projectName.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+function downloadBlob(blob, filename) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(a.href);
+}
+
+window.exportProject = () => {
+    const doc = serializeProject(engine, projectName);
+    downloadBlob(new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' }), `${fileSlug()}.xozy.json`);
+    log(`EXPORTED: ${projectName}`);
+};
+window.importProject = () => ui.projectFile.click();
+window.importMidi = () => ui.midiFile.click();
+window.renderPresetLibrary = () => renderPresetLibrary();
+window.savePadPreset = () => savePreset(presetFromPad(engine.projectData[activeGroup][selectedPad], presetMeta()));
+window.saveGroupPreset = () => savePreset(presetFromGroup(engine.projectData[activeGroup], presetMeta()));
+function savePreset(raw) {
+    if (!raw.name) return log("ERR: NAME THE PRESET");
+    try {
+        const preset = saveUserPreset(raw);
+        refreshPresets();
+        log(`PRESET SAVED: ${preset.category} / ${preset.name}`);
+    } catch (err) {
+        log(`ERR: PRESET ${err.message}`);
+    }
+}
+window.exportPresetPack = () => {
+    const presets = visiblePresets();
+    if (presets.length === 0) return log("ERR: NO PRESETS TO EXPORT");
+    const doc = exportPack(presets);
+    downloadBlob(new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' }), 'xozy-presets.json');
+    log(`EXPORTED ${presets.length} PRESETS`);
+};
+window.importPresetPack = () => document.getElementById('preset-file').click();
+window.updateMixerFromUI = () => {
+    const read = (id, min, max) => {
+        const el = document.getElementById(id);
+        if (!el || el.value === '') return null;
+        return clamp(parseInt(el.value, 10) || 0, min, max);
+    };
+    engine.setStrip(activeGroup, {
+        channel: read('mix-channel', 0, 15),
+        port: document.getElementById('mix-port').value || null,
+        transpose: read('mix-transpose', -24, 24) ?? 0,
+        velScale: read('mix-vel', 0, 200) ?? 100,
+        swing: read('mix-swing', 0, 75),
+        humanize: read('mix-humanize', 0, 50),
+        groove: document.getElementById('mix-groove').value
+    });
+    syncMixerUI();
+    syncProfileUI();
+};
+window.toggleStrip = (key) => {
+    const strip = engine.mixer[activeGroup];
+    engine.setStrip(activeGroup, { [key]: !strip[key] });
+    syncMixerUI();
+    log(`GROUP ${'ABCD'[activeGroup]} ${key.toUpperCase()}: ${strip[key] ? 'ON' : 'OFF'}`);
+};
+window.extractGroove = () => document.getElementById('groove-file').click();
+window.deleteGroove = () => {
+    const id = engine.mixer[activeGroup].groove;
+    const groove = engine.grooves.find(gr => gr.id === id);
+    if (!groove) return log("ERR: ONLY EXTRACTED GROOVES CAN BE DELETED");
+    engine.removeGroove(id);
+    syncMixerUI();
+    log(`GROOVE DELETED: ${groove.name}`);
+};
+window.exportMidi = () => {
+    const seed = document.getElementById('midi-seed').value.trim();
+    const bytes = exportMidiFile(engine, { seed: seed || null });
+    downloadBlob(new Blob([bytes], { type: 'audio/midi' }), `${fileSlug()}.mid`);
+    log(`MIDI EXPORTED: ${renderBars(engine)} BARS${seed ? ` SEED ${seed}` : ''}`);
+};
+window.copyNotation = () => copyToClipboard(shareText(), 'NOTATION');
+window.copyShareLink = () => copyToClipboard(window.location.href.split('#')[0] + notationToHash(shareText()), 'LINK');
+window.loadSharedText = () => {
+    const value = document.getElementById('share-text').value.trim();
+    if (!value) return log("ERR: PASTE NOTATION FIRST");
+    try {
+        loadNotation(notationFromHash(value) ?? value);
+    } catch (e) {
+        log(`ERR: SHARE ${e.message}`);
+    }
+};
+window.exportWav = async () => {
+    const seed = document.getElementById('midi-seed').value.trim();
+    const bitDepth = parseInt(document.getElementById('wav-bits').value, 10);
+    const stems = document.getElementById('wav-stems').checked;
+    log(`RENDERING ${renderBars(engine)} BARS...`);
+    try {
+        const files = await exportWav(engine, { bitDepth, stems, seed: seed || null });
+        if (files.length === 0) return log("ERR: NOTHING TO RENDER");
+        files.forEach(({ name, bytes }) => {
+            const suffix = stems ? `-${name.toLowerCase()}` : '';
+            downloadBlob(new Blob([bytes], { type: 'audio/wav' }), `${fileSlug()}${suffix}.wav`);
+        });
+        log(`WAV EXPORTED: ${files.length} FILE${files.length > 1 ? 'S' : ''} ${bitDepth}-BIT`);
+    } catch (e) {
+        log(`ERR: WAV ${e.message}`);
+    }
+};
+
+initInterface();
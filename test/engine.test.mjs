@@ -0,0 +1,192 @@
+/* =========================================
+   XOZY-EP HEADLESS ENGINE TESTS
+   ========================================= */
+
+// Run from the repo root with: node --test test/*.test.mjs
+// The engine runs on a ManualClock and sends into a RecordingOutput, so nothing needs a browser.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STEP_VELOCITY } from '../engine.js';
+import { detectProfile } from '../assets/js/device-profiles.js';
+import { renderSequence, importMidiPattern } from '../assets/js/midi-file.js';
+import { RecordingOutput } from '../assets/js/midi-output.js';
+import { headlessEngine, playBeats } from './headless.mjs';
+
+test('swing delays odd 16ths by its share of a 16th', () => {
+    const { engine, out } = headlessEngine();
+    engine.swing = 50;
+    engine.projectData[0][0].notes.fill('X', 0, 4);
+    playBeats(engine, 4);
+    const times = out.noteOns().map(m => m.time);
+    assert.deepEqual(times, [0, 187.5, 250, 437.5]);
+});
+
+test('triggerChord expands a chord pad into its notes', () => {
+    const { engine, out } = headlessEngine();
+    const pad = engine.projectData[1][0];
+    pad.mode = 'chord';
+    Object.assign(pad.chord, { root: 9, oct: 3, quality: 'min', ext: '7', inv: 0, voice: 'close', flux: 0 });
+    engine.triggerChord(pad, 1, 100, 0x91, 0x81, 0, 100, { root: 9, quality: 'min' });
+    assert.deepEqual(out.noteOns().map(m => m.data[1]), [57, 60, 64, 67]);
+    assert.ok(out.noteOns().every(m => m.data[0] === 0x91 && m.data[2] === 100));
+});
+
+test('computeVelocity follows the pad velocity mode', () => {
+    const { engine } = headlessEngine();
+    const pad = engine.projectData[0][0];
+    assert.equal(engine.computeVelocity(pad, 'X'), STEP_VELOCITY.X);
+    assert.equal(engine.computeVelocity(pad, 'Z'), STEP_VELOCITY.Z);
+    pad.velMode = 'fixed';
+    pad.velA = 64;
+    assert.equal(engine.computeVelocity(pad, 'X'), 64);
+    pad.velMode = 'range';
+    pad.velA = 30;
+    pad.velB = 40;
+    engine.random = () => 0.999;
+    assert.equal(engine.computeVelocity(pad, 'X'), 40);
+});
+
+test('stop drops arp notes that have not reached the output', () => {
+    const { engine, clock, out } = headlessEngine();
+    const pad = engine.projectData[1][0];
+    pad.mode = 'chord';
+    Object.assign(pad.chord.arp, { mode: 'up', rate: '1/16', octaves: 1, gate: 50, swing: 0, hold: 16 });
+    engine.triggerChord(pad, 1, 100, 0x91, 0x81, 0, 16 * 125, { root: 0, quality: 'maj' });
+    clock.advance(0.05);
+    const queued = out.noteOns().length;
+    assert.ok(queued > 0 && queued < 16);
+    engine.stop();
+    clock.advance(3);
+    assert.equal(out.noteOns().length, queued);
+    const offs = out.events().filter(m => (m.data[0] & 0xF0) === 0x80);
+    assert.ok(offs.length >= 2 * queued);
+});
+
+test('start leaves controllers alone; stop resets them', () => {
+    const { engine, out } = headlessEngine();
+    const resets = () => out.events().filter(m => (m.data[0] & 0xF0) === 0xB0 && m.data[1] === 121).length;
+    engine.start();
+    assert.equal(resets(), 0);
+    engine.stop();
+    assert.ok(resets() > 0);
+});
+
+test('port names pick the device they name, not its maker', () => {
+    assert.equal(detectProfile('teenage engineering OP-1'), 'op-1');
+    assert.equal(detectProfile('teenage engineering EP-1320'), 'ep-1320');
+    assert.equal(detectProfile('EP-133 K.O. II'), 'ep-133');
+    assert.equal(detectProfile('teenage engineering OP-Z'), null);
+});
+
+test('switching profile remaps pad notes in every slot', () => {
+    const { engine } = headlessEngine();
+    engine.selectSlot(0, 2);
+    engine.selectSlot(0, 0);
+    engine.setProfile('op-1');
+    assert.equal(engine.banks[0][2][0].midiNote, 53);
+    assert.equal(engine.projectData[0][0].midiNote, 53);
+});
+
+test('rendering a song leaves the live patterns untouched', () => {
+    const { engine } = headlessEngine();
+    engine.song = [{ name: '', slots: [3, null, null, null], repeats: 1 }];
+    engine.songMode = true;
+    renderSequence(engine, { bars: 1 });
+    assert.equal(engine.banks[0][3], null);
+    assert.equal(engine.active[0], 0);
+});
+
+test('importing MIDI onto a pad resets its per-step settings', () => {
+    const { engine } = headlessEngine();
+    const pad = engine.projectData[0][0];
+    pad.prob.fill(20);
+    pad.cond.fill('1:2');
+    pad.ratchet.fill(3);
+    pad.nudge.fill(0.25);
+    importMidiPattern({ ppq: 480, notes: [{ tick: 0, note: pad.midiNote, velocity: 110 }] }, engine.projectData[0]);
+    assert.ok(pad.prob.every(v => v === 100) && pad.cond.every(v => v === 'none'));
+    assert.ok(pad.ratchet.every(v => v === 1) && pad.nudge.every(v => v === 0));
+});
+
+test('external Continue resumes on the next step with fresh tempo tracking', () => {
+    const { engine, out } = headlessEngine();
+    engine.setSyncMode('external');
+    engine.projectData[0][0].notes.fill('X');
+    const pulses = (from, count, gap) => {
+        for (let i = 0; i < count; i++) engine.handleMidiMessage({ data: [0xF8], timeStamp: from + i * gap });
+    };
+    engine.handleMidiMessage({ data: [0xFA], timeStamp: 0 });
+    pulses(0, 27, 20.8);
+    engine.handleMidiMessage({ data: [0xFC], timeStamp: 600 });
+    out.reset();
+    engine.handleMidiMessage({ data: [0xFB], timeStamp: 5000 });
+    assert.equal(engine.ext.pulses, 0);
+    assert.deepEqual(engine.ext.intervals, []);
+    pulses(5000, 1, 20.8);
+    engine.flushNotes(Infinity);
+    assert.equal(engine.current16thNote, 5);
+    assert.equal(out.noteOns().length, 1);
+});
+
+test('VEL % at 0 sends no notes', () => {
+    const { engine, out } = headlessEngine();
+    engine.mixer[0].velScale = 0;
+    engine.projectData[0][0].notes.fill('X', 0, 4);
+    playBeats(engine, 4);
+    assert.equal(out.noteOns().length, 0);
+});
+
+test('external Start with no output is refused instead of throwing on every pulse', () => {
+    const { engine } = headlessEngine();
+    const logs = [];
+    engine.onLog = (msg) => logs.push(msg);
+    engine.setSyncMode('external');
+    engine.midiOut = null;
+    engine.projectData[0][0].notes.fill('X');
+    engine.handleMidiMessage({ data: [0xFA], timeStamp: 0 });
+    for (let i = 0; i < 48; i++) engine.handleMidiMessage({ data: [0xF8], timeStamp: i * 20.8 });
+    assert.equal(engine.isPlaying, false);
+    assert.ok(logs.some(l => l.startsWith('ERR: NO OUTPUT')));
+});
+
+test('a run that reaches COMPLETE lets its last notes keep their gate', () => {
+    [0.1, 0.5].forEach(lookahead => {
+        const { engine, clock, out } = headlessEngine();
+        engine.scheduleAheadTime = lookahead;
+        engine.globalBars = 1;
+        engine.projectData[0][0].notes.fill('X', 0, 16);
+        engine.start();
+        clock.advance(3);
+        assert.equal(engine.isPlaying, false);
+        const events = out.events();
+        const ons = out.noteOns();
+        assert.equal(ons.length, 16);
+        ons.forEach(on => {
+            const off = events.find(m => m.time >= on.time && (m.data[0] & 0xF0) === 0x80 && m.data[1] === on.data[1]);
+            assert.equal(off.time - on.time, engine.projectData[0][0].gateMs);
+        });
+        const lastOff = Math.max(...events.filter(m => (m.data[0] & 0xF0) === 0x80).map(m => m.time));
+        const resets = events.filter(m => (m.data[0] & 0xF0) === 0xB0 && [120, 123].includes(m.data[1]) && m.time > ons[0].time);
+        assert.ok(resets.length > 0 && resets.every(m => m.time >= lastOff));
+    });
+});
+
+test('refused MIDI access falls back to the internal synth', async () => {
+    const { engine } = headlessEngine();
+    const synth = new RecordingOutput('SYNTH');
+    engine.midiOut = null;
+    engine.synth = synth;
+    const had = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+    Object.defineProperty(globalThis, 'navigator', {
+        value: { requestMIDIAccess: () => Promise.reject(new Error('PERMISSION DENIED')) },
+        configurable: true
+    });
+    try {
+        assert.equal(await engine.init(), true);
+        assert.equal(engine.midiOut, synth);
+    } finally {
+        if (had) Object.defineProperty(globalThis, 'navigator', had);
+        else delete globalThis.navigator;
+    }
+});
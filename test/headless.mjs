@@ -0,0 +1,27 @@
+/* =========================================
+   XOZY-EP TEST HELPERS
+   ========================================= */
+
+import { SequencerEngine } from '../engine.js';
+import { ManualClock } from '../assets/js/clock.js';
+import { RecordingOutput } from '../assets/js/midi-output.js';
+
+export const SIXTEENTH_MS = 125; // at 120 BPM
+
+// An engine on a ManualClock sending into a RecordingOutput, with every step cleared.
+export function headlessEngine() {
+    const clock = new ManualClock();
+    const out = new RecordingOutput();
+    const engine = new SequencerEngine({ clock, output: out });
+    engine.midiOut = out;
+    engine.onLog = () => {};
+    engine.bpm = 120;
+    engine.projectData.forEach(group => group.forEach(pad => pad.notes.fill('O')));
+    return { engine, clock, out };
+}
+
+// Schedules the steps as the transport would, then hands over the notes still held back.
+export function playBeats(engine, beats) {
+    for (let b = 0; b < beats; b++) engine.scheduleNote(b, b * SIXTEENTH_MS / 1000);
+    engine.flushNotes(Infinity);
+}
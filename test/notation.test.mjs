@@ -0,0 +1,21 @@
+/* =========================================
+   XOZY-EP NOTATION TESTS
+   ========================================= */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNotation } from '../assets/js/notation.js';
+
+test('warnings quote unreadable tokens without markup', () => {
+    const text = [
+        'XOZY1 PROJECT <img/src=x/onerror=alert(document.cookie)>',
+        'A1 X4O12 CHORD=<b>bold</b> <script>x</script>',
+        '<svg/onload=alert(1)> XOOO'
+    ].join('\n');
+    const { warnings } = parseNotation(text);
+    assert.equal(warnings.length, 4);
+    warnings.forEach(w => {
+        assert.doesNotMatch(w, /[<>"'&()]/);
+        assert.ok(w.length < 40);
+    });
+});
@@ -0,0 +1,40 @@
+/* =========================================
+   XOZY-EP PROJECT FILE TESTS
+   ========================================= */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { serializeProject, parseProject } from '../assets/js/project-file.js';
+import { headlessEngine } from './headless.mjs';
+
+test('sparse project files read back into the same pads', () => {
+    const { engine } = headlessEngine();
+    const pad = engine.projectData[2][5];
+    pad.notes[3] = 'X';
+    pad.prob[3] = 40;
+    pad.cond[7] = '1:2';
+    pad.ratchet[9] = 3;
+    pad.nudge[11] = -0.25;
+    pad.lanes[0].values[4] = 90;
+    const json = JSON.stringify(serializeProject(engine));
+    const parsed = parseProject(json);
+    assert.deepEqual(parsed.patterns, engine.banks.map(slots => slots.map(g => g && JSON.parse(JSON.stringify(g)))));
+    assert.deepEqual(parsed.warnings, []);
+    assert.ok(json.length < JSON.stringify(engine.banks).length / 4);
+});
+
+test('version 5 files with full step arrays still load', () => {
+    const { engine } = headlessEngine();
+    engine.projectData[0][0].prob[2] = 10;
+    const doc = { ...serializeProject(engine), version: 5, patterns: JSON.parse(JSON.stringify(engine.banks)) };
+    assert.equal(parseProject(doc).patterns[0][0][0].prob[2], 10);
+});
+
+test('project names are held to what the name field accepts', () => {
+    const { engine } = headlessEngine();
+    const doc = serializeProject(engine, `my <img src=x onerror=alert(1)>${'x'.repeat(100)}`);
+    const { name } = parseProject(doc);
+    assert.ok(name.length <= 32);
+    assert.equal(name, name.toUpperCase());
+    assert.equal(parseProject({ ...doc, name: '   ' }).name, 'UNTITLED');
+});
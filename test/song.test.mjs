@@ -0,0 +1,76 @@
+/* =========================================
+   XOZY-EP SONG MODE TESTS
+   ========================================= */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSongEntry } from '../engine.js';
+import { headlessEngine } from './headless.mjs';
+
+function songEngine(rows) {
+    const { engine } = headlessEngine();
+    engine.song = rows.map(slots => createSongEntry(slots, 1));
+    engine.songMode = true;
+    engine.enterSongEntry(0);
+    return engine;
+}
+
+test('deleting the playing row moves on to the row that took its place', () => {
+    const engine = songEngine([[0, 0, 0, 0], [1, 1, 1, 1], [2, 2, 2, 2]]);
+    engine.nextPass();
+    assert.equal(engine.songPos.index, 1);
+    engine.removeSongEntry(1);
+    assert.equal(engine.nextPass(), true);
+    assert.equal(engine.songPos.index, 1);
+    assert.deepEqual(engine.active, [2, 2, 2, 2]);
+});
+
+test('deleting the last row while it plays ends the song', () => {
+    const engine = songEngine([[0, 0, 0, 0], [1, 1, 1, 1]]);
+    engine.nextPass();
+    engine.removeSongEntry(1);
+    assert.equal(engine.nextPass(), false);
+    engine.loop = true;
+    assert.equal(engine.nextPass(), true);
+    assert.equal(engine.songPos.index, 0);
+});
+
+test('deleting an earlier row keeps the position on the same row', () => {
+    const engine = songEngine([[0, 0, 0, 0], [1, 1, 1, 1], [2, 2, 2, 2]]);
+    engine.nextPass();
+    engine.removeSongEntry(0);
+    assert.equal(engine.songPos.index, 0);
+    assert.equal(engine.nextPass(), true);
+    assert.deepEqual(engine.active, [2, 2, 2, 2]);
+});
+
+test('deleting the only row falls back to plain looping', () => {
+    const engine = songEngine([[0, 0, 0, 0]]);
+    engine.removeSongEntry(0);
+    assert.equal(engine.nextPass(), false);
+    engine.loop = true;
+    assert.equal(engine.nextPass(), true);
+});
+
+test('external clock pulses walk the song and complete at its end', () => {
+    const engine = songEngine([[0, 0, 0, 0], [1, 1, 1, 1]]);
+    engine.globalBars = 1;
+    engine.setSyncMode('external');
+    engine.projectData[0][0].notes.fill('X');
+    let stamp = 0;
+    const pulses = (count) => {
+        for (let i = 0; i < count; i++) engine.handleMidiMessage({ data: [0xF8], timeStamp: stamp += 20.8 });
+    };
+    engine.nextPass();
+    engine.handleMidiMessage({ data: [0xFA], timeStamp: stamp });
+    assert.equal(engine.songPos.index, 0);
+    pulses(16 * 6);
+    assert.equal(engine.songPos.index, 0);
+    pulses(1);
+    assert.equal(engine.songPos.index, 1);
+    assert.equal(engine.active[0], 1);
+    assert.equal(engine.ext.position, 1);
+    pulses(16 * 6);
+    assert.equal(engine.isPlaying, false);
+    assert.ok(engine.ext.position <= 16);
+});